@@ -0,0 +1,4 @@
+// Configuração em tempo de execução: sobrescreve REACT_APP_API_URL sem precisar de um novo build
+window.APP_CONFIG = {
+  apiUrl: ''
+};
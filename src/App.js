@@ -1,489 +1,837 @@
-import React, { useState, useEffect } from 'react';
-import {format, isEqual, parseISO} from 'date-fns';
+import React, { useCallback, useMemo, useState } from 'react';
+import { NavLink, Route, Routes, useLocation, useNavigate } from 'react-router-dom';
+import ModerationPanel from './components/ModerationPanel';
+import OutboxPanel from './components/OutboxPanel';
+import CommentFormModal, { emptyComment } from './components/CommentFormModal';
+import LoginModal from './components/LoginModal';
+import { useToast } from './components/ToastProvider';
+import { LOCALES, useI18n } from './i18n/I18nProvider';
+import { useAuth } from './auth/AuthProvider';
+import EventsPage from './pages/EventsPage';
+import CalendarPage from './pages/CalendarPage';
+import DashboardPage from './pages/DashboardPage';
+import EventDetailPage from './pages/EventDetailPage';
+import EventFormRoute from './pages/EventFormRoute';
+import NotFoundPage from './pages/NotFoundPage';
+import { createEvent, deleteEvent, updateEvent } from './api/eventos';
+import { addReaction, createComment, deleteComment, removeReaction, updateComment } from './api/comentarios';
+import { isAbortError, isUnsentError, TimeoutError, ValidationError } from './api/errors';
+import useUnmountSignal from './hooks/useUnmountSignal';
+import useUrlFilters, { LIST_PATHS } from './hooks/useUrlFilters';
+import usePaginatedEvents from './hooks/usePaginatedEvents';
+import useOutbox, { isTempId, makeTempId } from './hooks/useOutbox';
+import useLiveUpdates from './hooks/useLiveUpdates';
+import useMyReactions from './hooks/useMyReactions';
+import useTablePreferences from './hooks/useTablePreferences';
+import { withTimeOf } from './utils/eventDates';
+import { compareEvents } from './utils/eventTable';
+import { collectEventOptions } from './utils/eventTags';
+import { matchesFilters } from './utils/filters';
+import { applyLiveMessage, isNewComment } from './utils/liveUpdates';
+import { isReply } from './utils/ratings';
+import { eventKey, expandRecurringEvents, withOccurrenceChanges, withoutOccurrence } from './utils/recurrence';
+import { sortByRelevance } from './utils/search';
 import './index.css';
 
 
 function App() {
-  const [events, setEvents] = useState([]);
-  const [selectedEvent, setSelectedEvent] = useState(null);
-  const [loading, setLoading] = useState(true);
-  const [error, setError] = useState(null);
   const [expandedEventId, setExpandedEventId] = useState(null);
-  const [searchTerm, setSearchTerm] = useState('');
-  const [dateFilter, setDateFilter] = useState('');
-  const [showNewEventForm, setShowNewEventForm] = useState(false);
-  const [showNewCommentForm, setShowNewCommentForm] = useState(null);
-
-  // Form states
-  const [newEvent, setNewEvent] = useState({
-    nome: '',
-    data: '',
-    duracao_qtd: '',
-    duracao_tipo: 'dias'
-  });
+  const [filters, updateFilter, resetFilters, listUrl, filtersSearch] = useUrlFilters();
+  const [showModeration, setShowModeration] = useState(false);
+  const [showLogin, setShowLogin] = useState(false);
+
+  // Comments received live for collapsed rows: { [eventId]: count }
+  const [newCommentCounts, setNewCommentCounts] = useState({});
+
+  // Comment modal: { eventId, comment (null when creating), parent (when replying),
+  // occurrence (when opened from one occurrence of a series), draft, errors }
+  const [commentForm, setCommentForm] = useState(null);
+
+  const location = useLocation();
+  const navigate = useNavigate();
+
+  // Create/edit forms open as a modal over the page they were opened from
+  const background = location.state && location.state.background;
+
+  // Pending requests are cancelled when App unmounts
+  const getSignal = useUnmountSignal();
+  const notify = useToast();
+  const { t, locale, setLocale, formatDate, formatError } = useI18n();
+  const { user, logout, isModerator } = useAuth();
+  const myReactions = useMyReactions();
+  const tablePreferences = useTablePreferences();
+
+  // Content created while logged in is tied to the user (the token goes along with the request too)
+  const withOwner = (values) => user ? { ...values, id_usuario: user.id } : values;
+
+  // Server validation errors are shown next to their fields; anything else goes to a toast
+  const fieldErrorsOf = (err) => err instanceof ValidationError ? err.fieldErrors : {};
+
+  // Fetch events and comments from APIs, page by page
+  const {
+    events,
+    setEvents,
+    loading,
+    refreshing,
+    loadingMore,
+    loadMoreFailed,
+    error,
+    hasMore,
+    loadMore,
+    retry: retryLoad,
+    staleSince
+  } = usePaginatedEvents(filters);
+
+  // Creations made offline wait in the outbox; once sent, the server version replaces the pending one.
+  // After a reload the pending copy is gone (the list came from the server), so the created item is added
+  const handleOutboxSynced = (entry, created) => {
+    // A live update may have delivered the created item before this response
+    if (entry.type === 'evento') {
+      setEvents(current => {
+        const others = current.filter(event => event.id !== created.id);
+        if (!others.some(event => event.id === entry.tempId)) return [...others, created];
+        return others.map(event => event.id === entry.tempId
+            ? { ...created, comentarios: event.comentarios.map(comment => ({ ...comment, id_evento: created.id })) }
+            : event);
+      });
+      if (expandedEventId === entry.tempId) {
+        setExpandedEventId(created.id);
+      }
+    } else {
+      const eventId = created.id_evento ?? entry.payload.id_evento;
+      setEvents(current => current.map(event => {
+        if (event.id !== eventId) return event;
+        const others = (event.comentarios || []).filter(comment => comment.id !== created.id);
+        return {
+          ...event,
+          comentarios: others.some(comment => comment.id === entry.tempId)
+              ? others.map(comment => comment.id === entry.tempId ? created : comment)
+              : [...others, created]
+        };
+      }));
+    }
+  };
 
-  const [newComment, setNewComment] = useState({
-    nome_usuario: '',
-    comentario: '',
-    classificacao: 3
-  });
+  // Changes made by other people, pushed by the server (or found by polling)
+  const handleLiveMessage = (message) => {
+    const eventId = message.data && message.data.id_evento;
+    // expandedEventId is a row key; for an occurrence it also carries the date, so compare the series id
+    const expandedRow = occurrences.find(event => eventKey(event) === expandedEventId);
+    const expandedId = expandedRow ? String(expandedRow.id) : null;
+    if (isNewComment(events, message) && String(eventId) !== expandedId) {
+      setNewCommentCounts(current => ({ ...current, [eventId]: (current[eventId] || 0) + 1 }));
+    }
+    if (message.type === 'event' && message.action === 'deleted' && String(message.data.id) === expandedId) {
+      setExpandedEventId(null);
+    }
+    setEvents(current => applyLiveMessage(current, message));
+  };
 
-  //const baseUrl = 'https://api.eventos-app-theo.com/'; // -> prod url - pelo aws
-  const baseUrl = 'http://api-eventos-env.eba-hesu7ymk.us-east-2.elasticbeanstalk.com/'; // -> test url http
-  // const baseUrl = 'https://web-production-fa6f8.up.railway.app/'; // -> test url railway
+  const liveStatus = useLiveUpdates(handleLiveMessage);
 
-  // Fetch events and comments from APIs
-  useEffect(() => {
-    const fetchData = async () => {
-      try {
-        setLoading(true);
-
-        // Fetch events
-        const eventsResponse = await fetch(baseUrl + 'eventos');
-        if (!eventsResponse.ok) {
-          throw new Error('Failed to fetch events');
-        }
-        const eventsData = await eventsResponse.json();
+  const handleOutboxReplayed = ({ synced, failed }) => {
+    if (synced > 0) {
+      notify.success(t('outbox.synced', { count: synced }));
+    }
+    failed.forEach(entry => notify.error(t('outbox.sendFailed', {
+      message: entry.errorKey ? t(entry.errorKey) : entry.error
+    })));
+  };
 
-        // Garante que todos os eventos tenham a propriedade comentarios
-        const eventsWithComments = eventsData.map(event => ({
-          ...event,
-          comentarios: event.comentarios || []
-        }));
+  const outbox = useOutbox({ onSynced: handleOutboxSynced, onReplayed: handleOutboxReplayed });
 
-        setEvents(eventsWithComments);
-        setLoading(false);
-      } catch (err) {
-        setError(err.message);
-        setLoading(false);
-      }
-    };
+  // Queue a creation for later; resolves false when the browser cannot store it
+  const queueOffline = async (entry) => {
+    try {
+      await outbox.enqueue(entry);
+      notify.info(t('outbox.queued'));
+      return true;
+    } catch (err) {
+      notify.error(t('outbox.storeFailed', { message: err.message }));
+      return false;
+    }
+  };
 
-    fetchData();
-  }, []);
+  // Discarding a queued creation also removes its pending copy from the list
+  const handleDiscardOutboxEntry = async (entry) => {
+    await outbox.discardEntry(entry);
+    if (entry.type === 'evento') {
+      setEvents(current => current.filter(event => event.id !== entry.tempId));
+    } else {
+      setEvents(current => current.map(event => event.id === entry.payload.id_evento
+          ? { ...event, comentarios: event.comentarios.filter(comment => comment.id !== entry.tempId) }
+          : event));
+    }
+  };
 
-  // Toggle expanded event
+  // Toggle expanded event (occurrences of a series open one at a time)
   const toggleEvent = (event) => {
-    setExpandedEventId(expandedEventId === event.id ? null : event.id);
-    setSelectedEvent(event);
+    const key = eventKey(event);
+    setExpandedEventId(expandedEventId === key ? null : key);
+    // Opening the comments marks the live ones as seen
+    setNewCommentCounts(({ [event.id]: seen, ...rest }) => rest);
+  };
+
+  // Recurring series are listed as one row per occurrence
+  const occurrences = useMemo(() => expandRecurringEvents(events), [events]);
+
+  // Filter events based on the filter panel (kept in the URL query string).
+  // Also covers servers that ignore the filter parameters
+  const filteredEvents = useMemo(
+      () => occurrences.filter(event => matchesFilters(event, filters)),
+      [occurrences, filters]
+  );
+
+  // Categories and tags already in use, for the filters and the event form suggestions
+  const eventOptions = useMemo(() => collectEventOptions(events, locale), [events, locale]);
+
+  // Order events by the table's sort columns (newest first by default),
+  // or by how well they match the search when asked to
+  const sortedEvents = useMemo(() => {
+    const compare = compareEvents(tablePreferences.sort, locale);
+    return filters.relevance && filters.searchTerm
+        ? sortByRelevance(filteredEvents, filters.searchTerm, compare)
+        : [...filteredEvents].sort(compare);
+  }, [filteredEvents, filters.relevance, filters.searchTerm, tablePreferences.sort, locale]);
+
+  // Events opened by URL that are not in the loaded pages
+  const handleEventLoaded = useCallback((loadedEvent) => {
+    setEvents(current => current.some(event => event.id === loadedEvent.id)
+        ? current
+        : [...current, loadedEvent]);
+  }, [setEvents]);
+
+  const openNewEventForm = () => {
+    navigate('/eventos/novo', { state: { background: location } });
+  };
+
+  // With occurrence (its original date) only that occurrence of the series is edited
+  const openEditEventForm = (event, occurrence = null) => {
+    const search = occurrence ? `?ocorrencia=${occurrence}` : '';
+    navigate(`/eventos/${event.id}/editar${search}`, { state: { background: location } });
+  };
+
+  // Fields sent when an event is updated
+  const toEventPayload = (event) => ({
+    nome: event.nome,
+    data: event.data,
+    duracao_qtd: event.duracao_qtd,
+    duracao_tipo: event.duracao_tipo,
+    categoria: event.categoria,
+    tags: event.tags,
+    local: event.local,
+    descricao: event.descricao,
+    recorrencia: event.recorrencia
+  });
+
+  // Handle new event submission; resolves with the field errors when it fails
+  const handleCreateEvent = async (values) => {
+    try {
+      if (!navigator.onLine) return await createEventOffline(values);
+      const eventWithComments = await createEvent(withOwner(values), { signal: getSignal() });
+      // The live update for this event may already have added it
+      setEvents(current => current.some(event => event.id === eventWithComments.id)
+          ? current
+          : [...current, eventWithComments]);
+      notify.success(t('events.created'));
+      // The server is answering again: anything queued while it was down can go now
+      outbox.replay();
+      return null;
+    } catch (err) {
+      if (isAbortError(err)) return null;
+      if (isUnsentError(err)) return createEventOffline(values);
+      notify.error(err instanceof TimeoutError
+          ? t('events.createUncertain')
+          : t('events.createFailed', { message: formatError(err) }));
+      return fieldErrorsOf(err);
+    }
+  };
+
+  // Without a connection the event is listed as pending and queued for creation
+  const createEventOffline = async (values) => {
+    const tempId = makeTempId();
+    const payload = withOwner(values);
+    if (!await queueOffline({ type: 'evento', tempId, payload })) return {};
+    setEvents(current => [...current, { ...payload, id: tempId, comentarios: [], pendente: true }]);
+    return null;
   };
 
-  // Filter events based on search term and date range
-  const filteredEvents = events.filter(event => {
-    // Check if event and event.name exist before calling toLowerCase()
-    const matchesSearch = !searchTerm ||
-        (event &&
-            event.nome &&
-            event.nome.toLowerCase().includes(searchTerm.toLowerCase()));
-
-    let matchesDateRange = true;
-
-    // Check if event.date exists before parsing
-    if (event && event.data) {
-      const eventDate = parseISO(event.data);
-      if (dateFilter) {
-        matchesDateRange = isEqual(eventDate, parseISO(dateFilter))
-      } else if (dateFilter) {
-        matchesDateRange = false;
+  // Handle event edit: update the row right away and roll back if the server rejects it.
+  // Editing a single occurrence stores its changes in the series' recorrencia; the form has no time, so the current one is kept
+  const handleUpdateEvent = async (eventId, draft, formBackground, occurrence = null) => {
+    const previousEvent = events.find(event => event.id === eventId);
+    if (!previousEvent) return;
+
+    const changes = occurrence
+        ? { recorrencia: withOccurrenceChanges(previousEvent, occurrence, draft) }
+        : { ...draft, data: withTimeOf(draft.data, previousEvent.data) };
+    const optimisticEvent = { ...previousEvent, ...changes };
+    setEvents(current => current.map(event => event.id === eventId ? optimisticEvent : event));
+
+    try {
+      const updatedEvent = await updateEvent(eventId, toEventPayload(optimisticEvent), { signal: getSignal() });
+
+      // Without a response body the optimistic version is kept
+      if (updatedEvent) {
+        setEvents(current => current.map(event => event.id === eventId
+            ? { ...event, ...updatedEvent, comentarios: event.comentarios }
+            : event));
       }
+      notify.success(t('events.updated'));
+    } catch (err) {
+      if (isAbortError(err)) return;
+      setEvents(current => current.map(event => event.id === eventId ? previousEvent : event));
+      notify.error(t('events.updateFailed', { name: previousEvent.nome, message: formatError(err) }));
+
+      // Reopen the form with what the user typed so it can be fixed and resubmitted
+      navigate(`/eventos/${eventId}/editar${occurrence ? `?ocorrencia=${occurrence}` : ''}`, {
+        state: { background: formBackground, draft, errors: fieldErrorsOf(err) }
+      });
+    }
+  };
+
+  // Handle event deletion: remove the row right away and restore it if the server rejects it.
+  // From an occurrence the whole series goes
+  const handleDeleteEvent = async (event) => {
+    const confirmKey = event.recorrencia ? 'events.confirmDeleteSeries' : 'events.confirmDelete';
+    if (!window.confirm(t(confirmKey, { name: event.nome }))) return;
+
+    const index = events.findIndex(item => item.id === event.id);
+    const deleted = events[index] || event;
+    setEvents(current => current.filter(item => item.id !== event.id));
+    if (expandedEventId === eventKey(event)) {
+      setExpandedEventId(null);
+    }
+    if (location.pathname === `/eventos/${event.id}`) {
+      navigate(listUrl);
     }
-    return matchesSearch && matchesDateRange;
-  });
 
-  // Order events by newest to oldest
-  const sortedEvents = filteredEvents.sort((a, b) => {
-    const dateA = a.data ? new Date(a.data) : 0;
-    const dateB = b.data ? new Date(b.data) : 0;
-    return dateB - dateA;
-  });
-  // Handle new event submission
-  const handleSubmitNewEvent = async (e) => {
-    e.preventDefault();
     try {
-      const response = await fetch(baseUrl + 'eventos', {
-        method: 'POST',
-        headers: {
-          'Content-Type': 'application/json',
-        },
-        body: JSON.stringify(newEvent)
+      await deleteEvent(event.id, { signal: getSignal() });
+      notify.success(t('events.deleted'));
+    } catch (err) {
+      if (isAbortError(err)) return;
+      setEvents(current => {
+        const restored = [...current];
+        restored.splice(Math.min(index, restored.length), 0, deleted);
+        return restored;
       });
+      notify.error(t('events.deleteFailed', { name: event.nome, message: formatError(err) }));
+    }
+  };
+
+  // Deleting one occurrence skips its date in the series; restored if the server rejects it
+  const handleDeleteOccurrence = async (occurrence) => {
+    const date = formatDate(occurrence.ocorrencia);
+    if (!window.confirm(t('events.confirmDeleteOccurrence', { name: occurrence.nome, date }))) return;
+
+    const previousEvent = events.find(event => event.id === occurrence.id);
+    if (!previousEvent) return;
+    const updated = { ...previousEvent, recorrencia: withoutOccurrence(previousEvent, occurrence.ocorrencia) };
+    setEvents(current => current.map(event => event.id === occurrence.id ? updated : event));
+    if (expandedEventId === eventKey(occurrence)) {
+      setExpandedEventId(null);
+    }
+    if (location.pathname === `/eventos/${occurrence.id}`) {
+      navigate(`/eventos/${occurrence.id}`);
+    }
+
+    try {
+      await updateEvent(occurrence.id, toEventPayload(updated), { signal: getSignal() });
+      notify.success(t('events.occurrenceDeleted', { date }));
+    } catch (err) {
+      if (isAbortError(err)) return;
+      setEvents(current => current.map(event => event.id === occurrence.id ? previousEvent : event));
+      notify.error(t('events.deleteFailed', { name: occurrence.nome, message: formatError(err) }));
+    }
+  };
 
-      if (!response.ok) {
-        throw new Error('Failed to create event');
+  // Bulk creation for .ics imports: one POST eventos per event, in order
+  const handleImportEvents = async (valuesList) => {
+    const created = [];
+    const failures = [];
+    for (const values of valuesList) {
+      try {
+        created.push(await createEvent(withOwner(values), { signal: getSignal() }));
+      } catch (err) {
+        if (isAbortError(err)) break;
+        failures.push({ values, message: formatError(err) });
       }
+    }
 
-      const createdEvent = await response.json();
-      // Garante que o evento criado tenha a propriedade comentarios
-      const eventWithComments = {
-        ...createdEvent,
-        comentarios: createdEvent.comentarios || []
-      };
-
-      setEvents([...events, eventWithComments]);
-      setShowNewEventForm(false);
-      setNewEvent({
-        nome: '',
-        data: '',
-        duracao_qtd: '',
-        duracao_tipo: 'dias'
-      });
+    if (created.length > 0) {
+      setEvents(current => [
+        ...current,
+        ...created.filter(item => !current.some(event => event.id === item.id))
+      ]);
+      notify.success(t('events.imported', { count: created.length }));
+    }
+    if (failures.length > 0) {
+      notify.error(t('events.importFailed', { count: failures.length }));
+    }
+    return { created, failures };
+  };
+
+  // Open the comment modal in create mode; from an occurrence the comment is about that date by default
+  const openNewCommentForm = (eventId, occurrence = null) => {
+    setCommentForm({
+      eventId,
+      comment: null,
+      occurrence,
+      draft: occurrence ? { ...emptyComment, ocorrencia: occurrence } : undefined,
+      errors: {}
+    });
+  };
+
+  // Open the comment modal to answer another comment; replies have no rating
+  const openReplyForm = (eventId, parent) => {
+    setCommentForm({ eventId, comment: null, parent, draft: undefined, errors: {} });
+  };
+
+  // Open the comment modal in edit mode, prefilled with the comment's data
+  const openEditCommentForm = (eventId, comment) => {
+    setCommentForm({
+      eventId,
+      comment,
+      draft: isReply(comment)
+          ? { comentario: comment.comentario || '' }
+          : { comentario: comment.comentario || '', classificacao: comment.classificacao ?? 3 },
+      errors: {}
+    });
+  };
+
+  const closeCommentForm = () => setCommentForm(null);
+
+  // Replace a single comment of an event inside the events state
+  const replaceComment = (eventId, commentId, replacement) => {
+    setEvents(current => current.map(event => event.id === eventId
+        ? {
+          ...event,
+          comentarios: event.comentarios.map(comment => comment.id === commentId ? replacement : comment)
+        }
+        : event));
+  };
+
+  // Apply changes to a comment right away and roll back if the server rejects them.
+  // Resolves with the error when it was rejected, null otherwise
+  const patchComment = async (eventId, comment, changes, failureMessage) => {
+    replaceComment(eventId, comment.id, { ...comment, ...changes });
+
+    try {
+      await updateComment(comment.id, changes, { signal: getSignal() });
+      return null;
     } catch (err) {
-      setError(err.message);
+      if (isAbortError(err)) return null;
+      replaceComment(eventId, comment.id, comment);
+      notify.error(`${failureMessage}: ${formatError(err)}`);
+      return err;
     }
   };
 
-  // Handle new comment submission
-  const handleSubmitNewComment = async (e, eventId) => {
-    e.preventDefault();
+  // Handle comment edit
+  const handleUpdateComment = async (eventId, previousComment, draft) => {
+    closeCommentForm();
+    const err = await patchComment(eventId, previousComment, draft, t('comments.updateFailed'));
+
+    if (err) {
+      // Reopen the form with what the user typed so it can be fixed and resubmitted
+      setCommentForm({ eventId, comment: previousComment, draft, errors: fieldErrorsOf(err) });
+    } else {
+      notify.success(t('comments.updated'));
+    }
+  };
+
+  // Handle comment deletion: remove it right away and restore it if the server rejects it
+  const handleDeleteComment = async (eventId, comment) => {
+    if (!window.confirm(t('comments.confirmDelete'))) return;
+
+    const event = events.find(item => item.id === eventId);
+    const index = event ? event.comentarios.findIndex(item => item.id === comment.id) : -1;
+    setEvents(current => current.map(item => item.id === eventId
+        ? { ...item, comentarios: item.comentarios.filter(c => c.id !== comment.id) }
+        : item));
+
     try {
-      const commentData = {
-        ...newComment,
-        id_evento: eventId,
-        classificacao: Number(newComment.classificacao)
-      };
-
-      const response = await fetch(baseUrl + 'comentarios', {
-        method: 'POST',
-        headers: {
-          'Content-Type': 'application/json',
-        },
-        body: JSON.stringify(commentData)
-      });
+      await deleteComment(comment.id, { signal: getSignal() });
+      notify.success(t('comments.deleted'));
+    } catch (err) {
+      if (isAbortError(err)) return;
+      setEvents(current => current.map(item => {
+        if (item.id !== eventId) return item;
+        const restored = [...item.comentarios];
+        restored.splice(Math.max(0, Math.min(index, restored.length)), 0, comment);
+        return { ...item, comentarios: restored };
+      }));
+      notify.error(t('comments.deleteFailed', { message: formatError(err) }));
+    }
+  };
 
-      if (!response.ok) {
-        throw new Error('Failed to create comment');
+  // Flag a comment so it shows up in the moderation view
+  const handleReportComment = (eventId, comment) => {
+    if (!window.confirm(t('comments.confirmReport'))) return;
+    patchComment(eventId, comment, { denunciado: true }, t('comments.reportFailed'));
+  };
+
+  // Moderation: hide a flagged comment from the event (it stops counting for the average)
+  const handleHideComment = (eventId, comment) =>
+      patchComment(eventId, comment, { oculto: true, denunciado: false }, t('comments.hideFailed'));
+
+  // Moderation: keep a flagged comment as it is
+  const handleDismissReport = (eventId, comment) =>
+      patchComment(eventId, comment, { denunciado: false }, t('comments.dismissFailed'));
+
+  // Count a reaction right away and undo it if the server rejects it.
+  // Which reactions are ours is remembered by the browser (see useMyReactions)
+  const changeReactionCount = (eventId, commentId, type, delta) => {
+    setEvents(current => current.map(event => event.id === eventId
+        ? {
+          ...event,
+          comentarios: event.comentarios.map(comment => {
+            if (comment.id !== commentId) return comment;
+            const reacoes = comment.reacoes || {};
+            return { ...comment, reacoes: { ...reacoes, [type]: Math.max(0, (reacoes[type] || 0) + delta) } };
+          })
+        }
+        : event));
+  };
+
+  const handleToggleReaction = async (eventId, comment, type) => {
+    const reacted = myReactions.hasReacted(comment.id, type);
+    changeReactionCount(eventId, comment.id, type, reacted ? -1 : 1);
+    myReactions.setReacted(comment.id, type, !reacted);
+
+    try {
+      if (reacted) {
+        await removeReaction(comment.id, type, { signal: getSignal() });
+      } else {
+        await addReaction(comment.id, type, { signal: getSignal() });
+      }
+    } catch (err) {
+      if (isAbortError(err)) return;
+      changeReactionCount(eventId, comment.id, type, reacted ? 1 : -1);
+      myReactions.setReacted(comment.id, type, reacted);
+      notify.error(t('comments.reactFailed', { message: formatError(err) }));
+    }
+  };
+
+  // Handle new comment submission
+  const handleSubmitNewComment = async (values) => {
+    const { eventId, comment, parent } = commentForm;
+    if (comment) {
+      await handleUpdateComment(eventId, comment, values);
+      return;
+    }
+    // The author comes from the session; anonymous comments are not tied to anyone.
+    // Replies stay with the occurrence of the comment they answer
+    const { anonimo, ocorrencia, ...fields } = values;
+    const occurrence = parent ? parent.ocorrencia : ocorrencia;
+    const commentData = {
+      ...fields,
+      ...(user && !anonimo ? withOwner({ nome_usuario: user.nome }) : { nome_usuario: '' }),
+      ...(parent ? { parent: parent.id } : {}),
+      ...(occurrence ? { ocorrencia: occurrence } : {}),
+      id_evento: eventId
+    };
+    try {
+      // Comments on an event still in the outbox have to wait for it too
+      if (!navigator.onLine || isTempId(eventId)) {
+        await createCommentOffline(commentData);
+        return;
       }
 
-      const createdComment = await response.json();
+      const createdComment = await createComment(commentData, { signal: getSignal() });
 
       // Update the events state with the new comment
-      const updatedEvents = events.map(event => {
+      setEvents(current => current.map(event => {
         if (event.id === eventId) {
           return {
             ...event,
-            comentarios: [...(event.comentarios || []), createdComment]
+            comentarios: [
+              ...(event.comentarios || []).filter(comment => comment.id !== createdComment.id),
+              createdComment
+            ]
           };
         }
         return event;
-      });
-
-      setEvents(updatedEvents);
-
-      // If the selected event is the one being commented on, update it too
-      if (selectedEvent && selectedEvent.id === eventId) {
-        setSelectedEvent({
-          ...selectedEvent,
-          comentarios: [...(selectedEvent.comentarios || []), createdComment]
-        });
-      }
-
-      setShowNewCommentForm(null);
-      setNewComment({
-        nome_usuario: '',
-        comentario: '',
-        classificacao: 3
-      });
+      }));
+      closeCommentForm();
+      notify.success(t('comments.published'));
+      outbox.replay();
     } catch (err) {
-      setError(err.message);
+      if (isAbortError(err)) return;
+      if (isUnsentError(err)) {
+        await createCommentOffline(commentData);
+        return;
+      }
+      setCommentForm(current => current && { ...current, draft: values, errors: fieldErrorsOf(err) });
+      notify.error(err instanceof TimeoutError
+          ? t('comments.publishUncertain')
+          : t('comments.publishFailed', { message: formatError(err) }));
     }
   };
 
-  if (loading) return <div className="text-center p-4">Loading...</div>;
-  if (error) return <div className="text-center p-4 text-red-500">Error: {error}</div>;
+  // Without a connection the comment is shown as pending and queued for creation
+  const createCommentOffline = async (commentData) => {
+    const tempId = makeTempId();
+    if (!await queueOffline({ type: 'comentario', tempId, payload: commentData })) return;
+    setEvents(current => current.map(event => event.id === commentData.id_evento
+        ? { ...event, comentarios: [...(event.comentarios || []), { ...commentData, id: tempId, pendente: true }] }
+        : event));
+    closeCommentForm();
+  };
 
-  // Função segura para calcular a classificação média
-  const calculateAverageRating = (event) => {
-    if (!event || !event.comentarios || event.comentarios.length === 0) {
-      return 'N/A';
-    }
+  const handleLoggedIn = (loggedUser) => {
+    setShowLogin(false);
+    notify.success(t('auth.loggedIn', { name: loggedUser.nome }));
+  };
+
+  const handleLogout = async () => {
+    await logout();
+    notify.info(t('auth.loggedOut'));
+  };
 
+  if (loading) return <div role="status" className="text-center p-4">{t('common.loading')}</div>;
+  if (error) {
     return (
-        event.comentarios
-            .reduce((acc, com) => acc + (com.classificacao || 0), 0) /
-        event.comentarios.length
-    ).toFixed(1);
+        <div className="text-center p-4">
+          <div role="alert" className="text-red-500 mb-4">{t('common.error', { message: formatError(error) })}</div>
+          <button
+              onClick={retryLoad}
+              className="px-4 py-2 bg-blue-500 text-white rounded hover:bg-blue-600 transition"
+          >
+            {t('common.retry')}
+          </button>
+        </div>
+    );
+  }
+
+  // Comentários denunciados de todos os eventos, para a moderação
+  const reportedComments = events.flatMap(event =>
+      (event.comentarios || [])
+          .filter(comment => comment.denunciado && !comment.oculto)
+          .map(comment => ({ event, comment })));
+
+  const commentActions = {
+    onNewComment: openNewCommentForm,
+    onReplyComment: openReplyForm,
+    onEditComment: openEditCommentForm,
+    onDeleteComment: handleDeleteComment,
+    onReportComment: handleReportComment,
+    onToggleReaction: handleToggleReaction,
+    hasReacted: myReactions.hasReacted
   };
 
+  const eventsPage = (
+      <EventsPage
+          events={sortedEvents}
+          filters={filters}
+          filterOptions={eventOptions}
+          updateFilter={updateFilter}
+          resetFilters={resetFilters}
+          refreshing={refreshing}
+          hasMore={hasMore}
+          loadingMore={loadingMore}
+          loadMoreFailed={loadMoreFailed}
+          loadMore={loadMore}
+          expandedEventId={expandedEventId}
+          newCommentCounts={newCommentCounts}
+          tablePreferences={tablePreferences}
+          onToggleEvent={toggleEvent}
+          onEditEvent={openEditEventForm}
+          onDeleteEvent={handleDeleteEvent}
+          onDeleteOccurrence={handleDeleteOccurrence}
+          onImportEvents={handleImportEvents}
+          commentActions={commentActions}
+      />
+  );
+
+  const calendarPage = (
+      <CalendarPage
+          events={sortedEvents}
+          filters={filters}
+          filterOptions={eventOptions}
+          updateFilter={updateFilter}
+          resetFilters={resetFilters}
+      />
+  );
+
+  const dashboardPage = (
+      <DashboardPage
+          events={sortedEvents}
+          filters={filters}
+          filterOptions={eventOptions}
+          updateFilter={updateFilter}
+          resetFilters={resetFilters}
+          hasMore={hasMore}
+          loadingMore={loadingMore}
+          loadMore={loadMore}
+      />
+  );
+
+  const pageLocation = background || location;
+  const viewTabClass = ({ isActive }) => `px-4 py-2 rounded-t ${isActive
+      ? 'bg-white font-semibold shadow'
+      : 'text-gray-600 hover:text-gray-900'}`;
+
+  const eventForm = (
+      <EventFormRoute
+          key={location.key}
+          events={events}
+          loading={loading}
+          suggestions={eventOptions}
+          onEventLoaded={handleEventLoaded}
+          onCreate={handleCreateEvent}
+          onUpdate={handleUpdateEvent}
+      />
+  );
+
   return (
       <div className="container mx-auto p-4 bg-gray-50 min-h-screen">
         <div className="mb-6 flex justify-between items-center">
-          <h1 className="text-2xl font-bold">Eventos e comentários</h1>
-          <button
-              className="px-4 py-2 bg-green-600 text-white rounded hover:bg-green-700 transition"
-              onClick={() => setShowNewEventForm(true)}
-          >
-            Adicionar Evento
-          </button>
+          <div>
+            <h1 className="text-2xl font-bold">{t('app.title')}</h1>
+            <span className="text-xs text-gray-500" title={t(`live.${liveStatus}.description`)}>
+              <span className={liveStatus === 'live' ? 'text-green-600' : 'text-gray-400'}>●</span>
+              {' '}{t(`live.${liveStatus}.label`)}
+            </span>
+          </div>
+          <div className="flex gap-2">
+            <select
+                value={locale}
+                onChange={(e) => setLocale(e.target.value)}
+                aria-label={t('common.language')}
+                title={t('common.language')}
+                className="px-2 py-2 border rounded bg-white"
+            >
+              {Object.entries(LOCALES).map(([code, { label }]) => (
+                  <option key={code} value={code}>{label}</option>
+              ))}
+            </select>
+            {user ? (
+                <>
+                  <span className="self-center text-sm text-gray-700">{t('auth.greeting', { name: user.nome })}</span>
+                  <button
+                      className="px-4 py-2 bg-gray-300 text-gray-800 rounded hover:bg-gray-400 transition"
+                      onClick={handleLogout}
+                  >
+                    {t('auth.logout')}
+                  </button>
+                </>
+            ) : (
+                <button
+                    className="px-4 py-2 bg-blue-500 text-white rounded hover:bg-blue-600 transition"
+                    onClick={() => setShowLogin(true)}
+                >
+                  {t('auth.login')}
+                </button>
+            )}
+            {isModerator && (
+                <button
+                    className="px-4 py-2 bg-gray-700 text-white rounded hover:bg-gray-800 transition"
+                    onClick={() => setShowModeration(!showModeration)}
+                >
+                  {t('app.moderation', { count: reportedComments.length })}
+                </button>
+            )}
+            <button
+                className="px-4 py-2 bg-green-600 text-white rounded hover:bg-green-700 transition"
+                onClick={openNewEventForm}
+            >
+              {t('app.addEvent')}
+            </button>
+          </div>
         </div>
 
-        {/* New Event Form Modal */}
-        {showNewEventForm && (
-            <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50">
-              <div className="bg-white p-6 rounded-lg shadow-lg max-w-md w-full">
-                <h2 className="text-xl font-bold mb-4">Adicionar Novo Evento</h2>
-                <form onSubmit={handleSubmitNewEvent}>
-                  <div className="mb-4">
-                    <label className="block text-sm font-medium mb-1">Nome do Evento</label>
-                    <input
-                        type="text"
-                        required
-                        value={newEvent.nome}
-                        onChange={(e) => setNewEvent({...newEvent, nome: e.target.value})}
-                        className="w-full p-2 border rounded"
-                    />
-                  </div>
-
-                  <div className="mb-4">
-                    <label className="block text-sm font-medium mb-1">Data</label>
-                    <input
-                        type="date"
-                        required
-                        value={newEvent.data}
-                        onChange={(e) => setNewEvent({...newEvent, data: e.target.value})}
-                        className="w-full p-2 border rounded"
-                    />
-                  </div>
-
-                  <div className="mb-4 grid grid-cols-2 gap-4">
-                    <div>
-                      <label className="block text-sm font-medium mb-1">Duração (quantidade)</label>
-                      <input
-                          type="number"
-                          required
-                          min="1"
-                          value={newEvent.duracao_qtd}
-                          onChange={(e) => setNewEvent({...newEvent, duracao_qtd: e.target.value})}
-                          className="w-full p-2 border rounded"
-                      />
-                    </div>
-
-                    <div>
-                      <label className="block text-sm font-medium mb-1">Tipo</label>
-                      <select
-                          value={newEvent.duracao_tipo}
-                          onChange={(e) => setNewEvent({...newEvent, duracao_tipo: e.target.value})}
-                          className="w-full p-2 border rounded"
-                      >
-                        <option value="horas">Horas</option>
-                        <option value="dias">Dias</option>
-                        <option value="semanas">Semanas</option>
-                        <option value="meses">Meses</option>
-                        <option value="anos">Anos</option>
-                      </select>
-                    </div>
-                  </div>
-
-                  <div className="flex justify-end gap-2 mt-6">
-                    <button
-                        type="button"
-                        onClick={() => setShowNewEventForm(false)}
-                        className="px-4 py-2 bg-gray-300 text-gray-800 rounded hover:bg-gray-400"
-                    >
-                      Cancelar
-                    </button>
-                    <button
-                        type="submit"
-                        className="px-4 py-2 bg-blue-500 text-white rounded hover:bg-blue-600"
-                    >
-                      Salvar Evento
-                    </button>
-                  </div>
-                </form>
-              </div>
+        {(!outbox.online || staleSince !== null) && (
+            <div className="mb-4 p-3 rounded bg-yellow-100 text-yellow-900 text-sm">
+              {outbox.online ? t('app.reconnecting') : t('app.offline')}
+              {staleSince !== null && ` ${t('app.staleSince', { date: formatDate(new Date(staleSince), 'Pp') })}`}
             </div>
         )}
 
-        {/* Filters */}
-        <div className="mb-6 flex flex-wrap gap-4 bg-white p-4 rounded-lg shadow">
-          <div className="flex-1 min-w-64">
-            <label className="block text-sm font-medium mb-1">Pesquisar</label>
-            <input
-                type="text"
-                placeholder="Search by name..."
-                value={searchTerm}
-                onChange={(e) => setSearchTerm(e.target.value)}
-                className="w-full p-2 border rounded"
+        <OutboxPanel
+            entries={outbox.entries}
+            online={outbox.online}
+            onSendNow={outbox.replay}
+            onRetry={outbox.retryEntry}
+            onDiscard={handleDiscardOutboxEntry}
+        />
+
+        {/* Moderation View (closed as soon as the moderator logs out) */}
+        {showModeration && isModerator && (
+            <ModerationPanel
+                reports={reportedComments}
+                onHide={handleHideComment}
+                onDelete={handleDeleteComment}
+                onDismiss={handleDismissReport}
+                onClose={() => setShowModeration(false)}
             />
-          </div>
+        )}
+
+        {/* Table / calendar / dashboard switch, keeping the current filters */}
+        {LIST_PATHS.includes(pageLocation.pathname) && (
+            <nav className="flex gap-1">
+              <NavLink end to={{ pathname: '/', search: filtersSearch }} className={viewTabClass}>{t('app.tableTab')}</NavLink>
+              <NavLink to={{ pathname: '/calendario', search: filtersSearch }} className={viewTabClass}>{t('app.calendarTab')}</NavLink>
+              <NavLink to={{ pathname: '/estatisticas', search: filtersSearch }} className={viewTabClass}>{t('app.dashboardTab')}</NavLink>
+            </nav>
+        )}
 
-          <div className="flex-1 min-w-64">
-            <label className="block text-sm font-medium mb-1">Data:</label>
-            <input
-                type="date"
-                value={dateFilter}
-                onChange={(e) => setDateFilter(e.target.value)}
-                className="w-full p-2 border rounded"
+        {/* With a background location the page stays rendered under the form modal */}
+        <Routes location={pageLocation}>
+          <Route path="/" element={eventsPage} />
+          <Route path="/calendario" element={calendarPage} />
+          <Route path="/estatisticas" element={dashboardPage} />
+          <Route path="/eventos/novo" element={<>{eventsPage}{eventForm}</>} />
+          <Route path="/eventos/:id/editar" element={<>{eventsPage}{eventForm}</>} />
+          <Route
+              path="/eventos/:id"
+              element={
+                <EventDetailPage
+                    events={events}
+                    loading={loading}
+                    listUrl={listUrl}
+                    onEventLoaded={handleEventLoaded}
+                    onEditEvent={openEditEventForm}
+                    onDeleteEvent={handleDeleteEvent}
+                    onDeleteOccurrence={handleDeleteOccurrence}
+                    commentActions={commentActions}
+                />
+              }
+          />
+          <Route path="*" element={<NotFoundPage />} />
+        </Routes>
+
+        {background && (
+            <Routes>
+              <Route path="/eventos/novo" element={eventForm} />
+              <Route path="/eventos/:id/editar" element={eventForm} />
+            </Routes>
+        )}
+
+        {showLogin && (
+            <LoginModal
+                onLoggedIn={handleLoggedIn}
+                onCancel={() => setShowLogin(false)}
             />
-          </div>
-        </div>
+        )}
 
-        {/* Events Table */}
-        <div className="overflow-x-auto bg-white rounded-lg shadow">
-          <table className="min-w-full">
-            <thead className="bg-gray-100">
-            <tr>
-              <th className="py-3 px-4 border-b text-left font-semibold">Nome</th>
-              <th className="py-3 px-4 border-b text-left font-semibold">Data</th>
-              <th className="py-3 px-4 border-b text-left font-semibold">Duração</th>
-              <th className="py-3 px-4 border-b text-left font-semibold">Classificação</th>
-              <th className="py-3 px-4 border-b text-left font-semibold">Actions</th>
-            </tr>
-            </thead>
-            <tbody>
-            {sortedEvents.length > 0 ? (
-                sortedEvents.map(event => (
-                    <React.Fragment key={event.id}>
-                      <tr className="hover:bg-gray-50 transition">
-                        <td className="py-3 px-4 border-b">{event.nome || 'Unnamed Event'}</td>
-                        <td className="py-3 px-4 border-b">
-                          {event.data ? format(parseISO(event.data), 'dd/MM/yyyy') : 'No date'}
-                        </td>
-                        <td className="py-3 px-4 border-b">{event.duracao_qtd + ' ' + event.duracao_tipo || 'Sem info de duração'}</td>
-                        <td className="py-3 px-4 border-b">
-                          <div className="flex items-center">
-                            <span className="text-yellow-500 mr-1">★</span>
-                            <span>{calculateAverageRating(event) !== 'N/A' ? calculateAverageRating(event) + '/5' : 'N/A'}</span>
-                          </div>
-                        </td>
-                        <td className="py-3 px-4 border-b">
-                          <button
-                              onClick={() => toggleEvent(event)}
-                              className="px-3 py-1 bg-blue-500 text-white rounded hover:bg-blue-600 transition"
-                          >
-                            {expandedEventId === event.id? 'Esconder comentarios' : 'Visualizar comentários'}
-                          </button>
-                        </td>
-                      </tr>
-
-                      {/* Comments Section (Expandable) */}
-                      {expandedEventId === event.id && (
-                          <tr>
-                            <td colSpan="5" className="py-4 px-4 border-b bg-gray-50">
-                              <div className="p-4">
-                                <h3 className="font-bold text-lg mb-4">Comentários</h3>
-                                {selectedEvent && selectedEvent.comentarios && selectedEvent.comentarios.length > 0 ? (
-                                    <div className="space-y-4">
-                                      {selectedEvent.comentarios.map(comment => (
-                                          <div key={comment.id} className="p-4 rounded-lg border bg-white shadow-sm">
-                                            <div className="flex items-center mb-2">
-                                              <div className="w-10 h-10 rounded-full bg-blue-500 flex items-center justify-center text-white font-bold mr-3">
-                                                {comment.nome_usuario ? comment.nome_usuario.charAt(0).toUpperCase() : 'A'}
-                                              </div>
-                                              <div>
-                                                <div className="font-semibold">{comment.nome_usuario || 'Anônimo'}</div>
-                                                <div className="text-xs text-gray-500 flex items-center">
-                                                  <span className="mr-1 text-yellow-500">★</span>
-                                                  {comment.classificacao}/5
-                                                </div>
-                                              </div>
-                                            </div>
-                                            <div className="ml-12">
-                                              <p className="text-gray-800">{comment.comentario || 'Sem texto no comentário'}</p>
-                                            </div>
-                                          </div>
-                                      ))}
-                                    </div>
-                                ) : (
-                                    <div className="text-gray-500 p-4 bg-white rounded-lg border">Sem comentários para esse evento.</div>
-                                )}
-
-                                {/* Add new comment button */}
-                                <div className="mt-4">
-                                  <button
-                                      onClick={() => setShowNewCommentForm(event.id)}
-                                      className="px-4 py-2 bg-green-500 text-white rounded hover:bg-green-600 transition flex items-center"
-                                  >
-                                    <svg className="w-4 h-4 mr-2" fill="none" stroke="currentColor" viewBox="0 0 24 24" xmlns="http://www.w3.org/2000/svg">
-                                      <path strokeLinecap="round" strokeLinejoin="round" strokeWidth="2" d="M12 6v6m0 0v6m0-6h6m-6 0H6"></path>
-                                    </svg>
-                                    Adicionar comentário
-                                  </button>
-                                </div>
-
-                                {/* New Comment Form Modal */}
-                                {showNewCommentForm === event.id && (
-                                    <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50">
-                                      <div className="bg-white p-6 rounded-lg shadow-lg max-w-md w-full">
-                                        <h2 className="text-xl font-bold mb-4">Adicionar Comentário</h2>
-                                        <form onSubmit={(e) => handleSubmitNewComment(e, event.id)}>
-                                          <div className="mb-4">
-                                            <label className="block text-sm font-medium mb-1">Nome (opcional)</label>
-                                            <input
-                                                type="text"
-                                                value={newComment.nome_usuario}
-                                                onChange={(e) => setNewComment({...newComment, nome_usuario: e.target.value})}
-                                                className="w-full p-2 border rounded"
-                                                placeholder="Anônimo"
-                                            />
-                                          </div>
-
-                                          <div className="mb-4">
-                                            <label className="block text-sm font-medium mb-1">Comentário</label>
-                                            <textarea
-                                                required
-                                                value={newComment.comentario}
-                                                onChange={(e) => setNewComment({...newComment, comentario: e.target.value})}
-                                                className="w-full p-2 border rounded min-h-32"
-                                                placeholder="Escreva seu comentário..."
-                                            ></textarea>
-                                          </div>
-
-                                          <div className="mb-4">
-                                            <label className="block text-sm font-medium mb-1">Classificação (0-5)</label>
-                                            <div className="flex items-center">
-                                              <input
-                                                  type="range"
-                                                  min="0"
-                                                  max="5"
-                                                  step="1"
-                                                  value={newComment.classificacao}
-                                                  onChange={(e) => setNewComment({...newComment, classificacao: e.target.value})}
-                                                  className="w-full mr-2"
-                                              />
-                                              <span className="text-yellow-500 flex items-center">
-                                              <span className="mr-1">★</span>
-                                                {newComment.classificacao}/5
-                                            </span>
-                                            </div>
-                                          </div>
-
-                                          <div className="flex justify-end gap-2 mt-6">
-                                            <button
-                                                type="button"
-                                                onClick={() => setShowNewCommentForm(null)}
-                                                className="px-4 py-2 bg-gray-300 text-gray-800 rounded hover:bg-gray-400"
-                                            >
-                                              Cancelar
-                                            </button>
-                                            <button
-                                                type="submit"
-                                                className="px-4 py-2 bg-blue-500 text-white rounded hover:bg-blue-600"
-                                            >
-                                              Publicar
-                                            </button>
-                                          </div>
-                                        </form>
-                                      </div>
-                                    </div>
-                                )}
-                              </div>
-                            </td>
-                          </tr>
-                      )}
-                    </React.Fragment>
-                ))
-            ) : (
-                <tr>
-                  <td colSpan="5" className="py-4 px-4 text-center text-gray-500">
-                    Sem eventos para o filtro selecionado.
-                  </td>
-                </tr>
-            )}
-            </tbody>
-          </table>
-        </div>
+        {/* New Comment Form Modal */}
+        {commentForm && (
+            <CommentFormModal
+                key={commentForm.comment ? commentForm.comment.id : commentForm.parent ? 'reply-' + commentForm.parent.id : 'new'}
+                editing={commentForm.comment !== null}
+                replyTo={commentForm.parent}
+                occurrence={commentForm.occurrence}
+                rated={!commentForm.parent && !isReply(commentForm.comment)}
+                initialValues={commentForm.draft}
+                errors={commentForm.errors}
+                onSubmit={handleSubmitNewComment}
+                onCancel={closeCommentForm}
+            />
+        )}
       </div>
   );
 }
 
-export default App;
\ No newline at end of file
+export default App;
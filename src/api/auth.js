@@ -0,0 +1,27 @@
+import api from './client';
+
+// Normaliza a resposta do login: { token, user: { id, nome, moderador } }
+const toSession = (payload) => {
+  const data = payload || {};
+  const user = data.usuario || data.user || {};
+  return {
+    token: data.token || data.access_token || null,
+    user: {
+      id: user.id ?? data.id_usuario ?? null,
+      nome: user.nome || user.name || user.username || user.email || '',
+      moderador: Boolean(user.moderador ?? user.is_moderator ?? data.moderador)
+    }
+  };
+};
+
+export const login = async ({ usuario, senha }, options) => {
+  const payload = await api.post('auth/login', { usuario, senha }, options);
+  const session = toSession(payload);
+  if (!session.token) {
+    throw new Error('Login response without a token');
+  }
+  return session;
+};
+
+export const logout = (options) =>
+    api.post('auth/logout', undefined, options);
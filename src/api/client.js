@@ -0,0 +1,143 @@
+import { errorFromResponse, isAbortError, NetworkError, TimeoutError, UnauthorizedError } from './errors';
+
+const DEFAULT_TIMEOUT = 10000;
+const DEFAULT_RETRIES = 2;
+const RETRY_BASE_DELAY = 300;
+
+// Usada quando nem public/config.js nem REACT_APP_API_URL definem a URL -> test url http
+const DEFAULT_BASE_URL = 'http://api-eventos-env.eba-hesu7ymk.us-east-2.elasticbeanstalk.com/';
+
+// A URL da API vem de public/config.js (em tempo de execução) ou de REACT_APP_API_URL (no build)
+export const getBaseUrl = () => {
+  const runtimeUrl = typeof window !== 'undefined' && window.APP_CONFIG && window.APP_CONFIG.apiUrl;
+  const url = runtimeUrl || process.env.REACT_APP_API_URL || DEFAULT_BASE_URL;
+  return url.endsWith('/') ? url : url + '/';
+};
+
+// Sessão atual: o token vai no Authorization de todas as chamadas enquanto houver login
+let authToken = null;
+let unauthorizedHandler = null;
+
+export const setAuthToken = (token) => {
+  authToken = token || null;
+};
+
+// Chamado quando o servidor recusa o token enviado (sessão expirada ou revogada)
+export const setUnauthorizedHandler = (handler) => {
+  unauthorizedHandler = handler;
+};
+
+// Espera entre tentativas; o listener sai do signal ao terminar, já que o signal pode viver mais que a chamada
+const sleep = (ms, signal) => new Promise((resolve, reject) => {
+  if (signal && signal.aborted) {
+    reject(new DOMException('Aborted', 'AbortError'));
+    return;
+  }
+  const onAbort = () => {
+    clearTimeout(timer);
+    reject(new DOMException('Aborted', 'AbortError'));
+  };
+  const timer = setTimeout(() => {
+    if (signal) signal.removeEventListener('abort', onAbort);
+    resolve();
+  }, ms);
+  if (signal) signal.addEventListener('abort', onAbort, { once: true });
+});
+
+const readBody = async (response) => {
+  if (response.status === 204) return null;
+  const text = await response.text();
+  if (!text) return null;
+  try {
+    return JSON.parse(text);
+  } catch {
+    return text;
+  }
+};
+
+// Retries only make sense for failures that may go away on their own
+const isRetryable = (err) => err instanceof NetworkError || err instanceof TimeoutError ||
+    (err && err.status >= 500);
+
+// Uma tentativa: aplica o timeout e repassa o cancelamento do chamador
+const attempt = async (url, { method, body, headers, signal, timeout }) => {
+  const controller = new AbortController();
+  let timedOut = false;
+  const timer = setTimeout(() => {
+    timedOut = true;
+    controller.abort();
+  }, timeout);
+  const abortFromCaller = () => controller.abort();
+  if (signal) {
+    if (signal.aborted) controller.abort();
+    signal.addEventListener('abort', abortFromCaller);
+  }
+
+  try {
+    let response;
+    try {
+      response = await fetch(url, {
+        method,
+        headers: {
+          ...(body !== undefined ? { 'Content-Type': 'application/json' } : {}),
+          ...headers
+        },
+        body: body !== undefined ? JSON.stringify(body) : undefined,
+        signal: controller.signal
+      });
+    } catch (err) {
+      if (timedOut) throw new TimeoutError(timeout);
+      if (isAbortError(err)) throw err;
+      throw new NetworkError(err.message);
+    }
+
+    const payload = await readBody(response);
+    if (!response.ok) {
+      throw errorFromResponse(response.status, payload);
+    }
+    return payload;
+  } finally {
+    clearTimeout(timer);
+    if (signal) signal.removeEventListener('abort', abortFromCaller);
+  }
+};
+
+/**
+ * Faz uma chamada à API e devolve o corpo já convertido de JSON.
+ * GETs são repetidos com backoff exponencial em falhas de rede, timeout ou 5xx.
+ */
+export const request = async (path, {
+  method = 'GET',
+  body,
+  headers = {},
+  signal,
+  timeout = DEFAULT_TIMEOUT,
+  retries = method === 'GET' ? DEFAULT_RETRIES : 0
+} = {}) => {
+  const url = getBaseUrl() + path;
+  const token = authToken;
+  const requestHeaders = token ? { Authorization: `Bearer ${token}`, ...headers } : headers;
+
+  for (let tries = 0; ; tries++) {
+    try {
+      return await attempt(url, { method, body, headers: requestHeaders, signal, timeout });
+    } catch (err) {
+      // Only the session that sent the request is ended; a newer login is left alone
+      if (err instanceof UnauthorizedError && token && token === authToken && unauthorizedHandler) {
+        unauthorizedHandler(err);
+      }
+      if (tries >= retries || !isRetryable(err)) throw err;
+      await sleep(RETRY_BASE_DELAY * 2 ** tries, signal);
+    }
+  }
+};
+
+const api = {
+  get: (path, options) => request(path, { ...options, method: 'GET' }),
+  post: (path, body, options) => request(path, { ...options, method: 'POST', body }),
+  put: (path, body, options) => request(path, { ...options, method: 'PUT', body }),
+  patch: (path, body, options) => request(path, { ...options, method: 'PATCH', body }),
+  delete: (path, options) => request(path, { ...options, method: 'DELETE' })
+};
+
+export default api;
@@ -0,0 +1,19 @@
+import api from './client';
+
+export const createComment = (comment, options) =>
+    api.post('comentarios', comment, options);
+
+export const updateComment = (id, changes, options) =>
+    api.patch('comentarios/' + id, changes, options);
+
+export const deleteComment = (id, options) =>
+    api.delete('comentarios/' + id, options);
+
+// Reações a comentários; o servidor devolve só a contagem de cada tipo, em comentario.reacoes
+export const REACTION_TYPES = ['curtir', 'util'];
+
+export const addReaction = (id, tipo, options) =>
+    api.post(`comentarios/${id}/reacoes`, { tipo }, options);
+
+export const removeReaction = (id, tipo, options) =>
+    api.delete(`comentarios/${id}/reacoes/${tipo}`, options);
@@ -0,0 +1,111 @@
+// Erros normalizados da API: todas as chamadas de eventos/comentários lançam uma destas classes
+
+// serverMessage é o texto que veio no corpo da resposta, ou null; message é só para depuração
+// e a interface mostra a falha com useI18n().formatError
+export class ApiError extends Error {
+  constructor(message, { status = null, payload = null, serverMessage = null } = {}) {
+    super(message);
+    this.name = 'ApiError';
+    this.status = status;
+    this.payload = payload;
+    this.serverMessage = serverMessage;
+  }
+}
+
+// A requisição nem chegou ao servidor (offline, DNS, CORS...)
+export class NetworkError extends ApiError {
+  constructor(message = 'Network request failed') {
+    super(message);
+    this.name = 'NetworkError';
+  }
+}
+
+export class TimeoutError extends ApiError {
+  constructor(timeout) {
+    super(`Request timed out after ${timeout}ms`);
+    this.name = 'TimeoutError';
+  }
+}
+
+// Validação recusada pelo servidor; fieldErrors mapeia campo -> mensagem
+export class ValidationError extends ApiError {
+  constructor(message, { fieldErrors = {}, ...options } = {}) {
+    super(message, options);
+    this.name = 'ValidationError';
+    this.fieldErrors = fieldErrors;
+  }
+}
+
+// Token ausente, expirado ou recusado pelo servidor
+export class UnauthorizedError extends ApiError {
+  constructor(message, options) {
+    super(message, options);
+    this.name = 'UnauthorizedError';
+  }
+}
+
+export class NotFoundError extends ApiError {
+  constructor(message, options) {
+    super(message, options);
+    this.name = 'NotFoundError';
+  }
+}
+
+export const isAbortError = (err) => err && err.name === 'AbortError';
+
+// Falhas em que o servidor não foi alcançado; escritas nessas condições vão para a fila offline
+export const isOfflineError = (err) => err instanceof NetworkError || err instanceof TimeoutError;
+
+// A escrita certamente não chegou ao servidor e pode ir para a fila offline. Depois de um timeout
+// o servidor pode já ter criado o item, e reenviar o POST o duplicaria
+export const isUnsentError = (err) => err instanceof NetworkError;
+
+// Extrai a mensagem e os erros por campo dos formatos de erro mais comuns
+// ({ message }, { error }, { detail }, { errors: { campo: msg } }, { detail: [{ loc, msg }] })
+const parseErrorPayload = (payload) => {
+  const fieldErrors = {};
+  let message = null;
+
+  if (typeof payload === 'string') {
+    return { message: payload || null, fieldErrors };
+  }
+  if (!payload || typeof payload !== 'object') {
+    return { message, fieldErrors };
+  }
+
+  if (Array.isArray(payload.detail)) {
+    payload.detail.forEach(item => {
+      const field = Array.isArray(item.loc) ? item.loc[item.loc.length - 1] : item.field;
+      if (field) fieldErrors[field] = item.msg || item.message;
+    });
+  } else if (typeof payload.detail === 'string') {
+    message = payload.detail;
+  }
+
+  if (payload.errors && typeof payload.errors === 'object') {
+    Object.entries(payload.errors).forEach(([field, value]) => {
+      fieldErrors[field] = Array.isArray(value) ? value.join(' ') : String(value);
+    });
+  }
+
+  message = message || payload.message || payload.error || null;
+  return { message, fieldErrors };
+};
+
+// Converte uma resposta não-ok na classe de erro correspondente
+export const errorFromResponse = (status, payload) => {
+  const { message, fieldErrors } = parseErrorPayload(payload);
+  const text = message || `Request failed with status ${status}`;
+  const options = { status, payload, serverMessage: message };
+
+  if (status === 401) {
+    return new UnauthorizedError(text, options);
+  }
+  if (status === 404) {
+    return new NotFoundError(text, options);
+  }
+  if (status === 400 || status === 422 || Object.keys(fieldErrors).length > 0) {
+    return new ValidationError(text, { ...options, fieldErrors });
+  }
+  return new ApiError(text, options);
+};
@@ -0,0 +1,45 @@
+import api from './client';
+
+// Garante que todo evento tenha a propriedade comentarios
+const withComments = (event) => ({
+  ...event,
+  comentarios: (event && event.comentarios) || []
+});
+
+/**
+ * Busca uma página de eventos (params: page, limit e os filtros da query string).
+ * Servidores sem paginação devolvem um array com todos os eventos: nesse caso
+ * paginated é false e os filtros ficam por conta do cliente.
+ */
+export const listEventsPage = async (params, options) => {
+  const query = new URLSearchParams(params).toString();
+  const payload = await api.get('eventos' + (query ? '?' + query : ''), options);
+
+  if (Array.isArray(payload) || !payload) {
+    return { items: (payload || []).map(withComments), hasMore: false, total: null, paginated: false };
+  }
+
+  const items = payload.items || payload.data || payload.results || [];
+  const total = payload.total ?? payload.count ?? null;
+  const limit = Number(params.limit);
+  const hasMore = payload.has_more ?? payload.hasMore ??
+      (total !== null ? Number(params.page) * limit < total : items.length === limit);
+  return { items: items.map(withComments), hasMore, total, paginated: true };
+};
+
+export const getEvent = async (id, options) => {
+  const event = await api.get('eventos/' + id, options);
+  return withComments(event);
+};
+
+export const createEvent = async (event, options) => {
+  const created = await api.post('eventos', event, options);
+  return withComments(created);
+};
+
+// Pode voltar null quando o servidor responde 204 sem corpo
+export const updateEvent = (id, event, options) =>
+    api.put('eventos/' + id, event, options);
+
+export const deleteEvent = (id, options) =>
+    api.delete('eventos/' + id, options);
@@ -0,0 +1,103 @@
+import React, { createContext, useCallback, useContext, useEffect, useMemo, useState } from 'react';
+import { login as loginRequest, logout as logoutRequest } from '../api/auth';
+import { setAuthToken, setUnauthorizedHandler } from '../api/client';
+import { useToast } from '../components/ToastProvider';
+import { useI18n } from '../i18n/I18nProvider';
+
+const AuthContext = createContext(null);
+
+const STORAGE_KEY = 'sessao';
+
+const readStoredSession = () => {
+  try {
+    const session = JSON.parse(window.localStorage.getItem(STORAGE_KEY));
+    return session && session.token ? session : null;
+  } catch {
+    return null;
+  }
+};
+
+const storeSession = (session) => {
+  try {
+    if (session) {
+      window.localStorage.setItem(STORAGE_KEY, JSON.stringify(session));
+    } else {
+      window.localStorage.removeItem(STORAGE_KEY);
+    }
+  } catch {
+    // Storage blocked: the session only lasts for this visit
+  }
+};
+
+// Sessão do usuário (token + { id, nome }), guardada no navegador entre as visitas
+export function AuthProvider({ children }) {
+  // The token is set while rendering so the first requests (run by children effects) already carry it
+  const [session, setSession] = useState(() => {
+    const stored = readStoredSession();
+    setAuthToken(stored && stored.token);
+    return stored;
+  });
+  const notify = useToast();
+  const { t } = useI18n();
+
+  const applySession = useCallback((next) => {
+    setAuthToken(next && next.token);
+    storeSession(next);
+    setSession(next);
+  }, []);
+
+  // A token the server no longer accepts ends the session
+  useEffect(() => {
+    setUnauthorizedHandler(() => {
+      applySession(null);
+      notify.error(t('auth.expired'));
+    });
+    return () => setUnauthorizedHandler(null);
+  }, [applySession, notify, t]);
+
+  const login = useCallback(async (credentials) => {
+    const next = await loginRequest(credentials);
+    applySession(next);
+    return next.user;
+  }, [applySession]);
+
+  // The local session always ends, even if the server call fails
+  const logout = useCallback(async () => {
+    try {
+      await logoutRequest();
+    } catch {
+      // Token already invalid or server unreachable
+    }
+    applySession(null);
+  }, [applySession]);
+
+  const value = useMemo(() => {
+    const user = session ? session.user : null;
+
+    // Content created while logged in carries id_usuario and only its author edits it.
+    // Older content has no owner and stays editable (the form still asks for a login)
+    const canEdit = (item) => Boolean(item) && (item.id_usuario == null ||
+        Boolean(user && String(item.id_usuario) === String(user.id)));
+
+    // Only moderators review reported comments, which lets them hide or delete other people's content
+    const isModerator = Boolean(user && user.moderador);
+
+    return { user, login, logout, canEdit, isModerator };
+  }, [session, login, logout]);
+
+  return (
+      <AuthContext.Provider value={value}>
+        {children}
+      </AuthContext.Provider>
+  );
+}
+
+export const useAuth = () => {
+  const auth = useContext(AuthContext);
+  if (!auth) {
+    throw new Error('useAuth must be used inside an AuthProvider');
+  }
+  return auth;
+};
+
+export default AuthProvider;
@@ -0,0 +1,65 @@
+import React from 'react';
+
+const SLOT_WIDTH = 40;
+const BAR_WIDTH = 28;
+const TOP_MARGIN = 16;
+const BOTTOM_MARGIN = 20;
+
+/**
+ * Gráfico de barras em SVG, sem biblioteca: data é [{ key, label, value, title? }].
+ * max fixa a escala (ex.: 5 para médias); sem ele a maior barra ocupa a altura toda.
+ * Com muitas barras, labelEvery mostra só um rótulo a cada N barras.
+ */
+function BarChart({
+  data,
+  title,
+  max,
+  height = 160,
+  labelEvery = 1,
+  formatValue = value => value,
+  barClassName = 'fill-blue-500'
+}) {
+  const scaleMax = max || Math.max(1, ...data.map(item => item.value || 0));
+  const plotHeight = height - TOP_MARGIN - BOTTOM_MARGIN;
+  const width = Math.max(data.length, 1) * SLOT_WIDTH;
+
+  return (
+      <svg
+          role="img"
+          aria-label={title}
+          viewBox={`0 0 ${width} ${height}`}
+          width="100%"
+          height={height}
+          className="overflow-visible"
+      >
+        <title>{title}</title>
+        <line x1="0" x2={width} y1={height - BOTTOM_MARGIN} y2={height - BOTTOM_MARGIN} className="stroke-gray-300" />
+        {data.map((item, index) => {
+          const value = item.value || 0;
+          const barHeight = (value / scaleMax) * plotHeight;
+          const x = index * SLOT_WIDTH + (SLOT_WIDTH - BAR_WIDTH) / 2;
+          const y = height - BOTTOM_MARGIN - barHeight;
+          const center = index * SLOT_WIDTH + SLOT_WIDTH / 2;
+
+          return (
+              <g key={item.key}>
+                <title>{item.title || `${item.label}: ${formatValue(value)}`}</title>
+                <rect x={x} y={y} width={BAR_WIDTH} height={barHeight} rx="2" className={barClassName} />
+                {item.value != null && (
+                    <text x={center} y={y - 4} textAnchor="middle" className="fill-gray-700 text-[10px]">
+                      {formatValue(value)}
+                    </text>
+                )}
+                {index % labelEvery === 0 && (
+                    <text x={center} y={height - 6} textAnchor="middle" className="fill-gray-500 text-[10px]">
+                      {item.label}
+                    </text>
+                )}
+              </g>
+          );
+        })}
+      </svg>
+  );
+}
+
+export default BarChart;
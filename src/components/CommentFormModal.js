@@ -0,0 +1,138 @@
+import React, { useId, useState } from 'react';
+import Dialog from './Dialog';
+import FieldError from './FieldError';
+import StarRating from './StarRating';
+import { useAuth } from '../auth/AuthProvider';
+import { useI18n } from '../i18n/I18nProvider';
+
+// O autor não é digitado: vem do usuário logado, a menos que anonimo esteja marcado
+export const emptyComment = {
+  comentario: '',
+  classificacao: 3,
+  anonimo: false
+};
+
+// Modal de criação/edição de comentário; o rascunho fica aqui até o envio dar certo.
+// Respostas (replyTo é o comentário respondido) não têm nota: rated fica false.
+// Aberto a partir de uma ocorrência de série (occurrence), o comentário pode ser só sobre ela
+function CommentFormModal({
+  editing = false,
+  replyTo = null,
+  occurrence = null,
+  rated = true,
+  initialValues = emptyComment,
+  errors = {},
+  onSubmit,
+  onCancel
+}) {
+  const [newComment, setNewComment] = useState(initialValues);
+  const { user } = useAuth();
+  const { t, formatDate } = useI18n();
+  const fieldId = useId();
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    const { classificacao, ...fields } = newComment;
+    onSubmit(rated ? { ...fields, classificacao: Number(classificacao) } : fields);
+  };
+
+  return (
+      <Dialog
+          title={editing
+              ? t('commentForm.editTitle')
+              : replyTo
+                  ? t('commentForm.replyTitle', { name: replyTo.nome_usuario || t('common.anonymous') })
+                  : t('commentForm.newTitle')}
+          onClose={onCancel}
+      >
+          {replyTo && (
+              <blockquote className="mb-4 pl-3 border-l-4 text-sm text-gray-600 line-clamp-3">
+                {replyTo.comentario || t('comments.noText')}
+              </blockquote>
+          )}
+          <form onSubmit={handleSubmit}>
+            {/* The author of an existing comment does not change */}
+            {!editing && (
+                <div className="mb-4 text-sm">
+                  {user ? (
+                      <>
+                        <p className="mb-1">
+                          {t('commentForm.postingAs', {
+                            name: newComment.anonimo ? t('common.anonymous') : user.nome
+                          })}
+                        </p>
+                        <label className="flex items-center">
+                          <input
+                              type="checkbox"
+                              checked={newComment.anonimo}
+                              onChange={(e) => setNewComment({...newComment, anonimo: e.target.checked})}
+                              className="mr-2"
+                          />
+                          {t('commentForm.anonymous')}
+                        </label>
+                      </>
+                  ) : (
+                      <p className="text-gray-600">{t('commentForm.anonymousOnly')}</p>
+                  )}
+                  <FieldError message={errors.nome_usuario} />
+                </div>
+            )}
+
+            {occurrence && !editing && !replyTo && (
+                <label className="mb-4 flex items-center text-sm">
+                  <input
+                      type="checkbox"
+                      checked={Boolean(newComment.ocorrencia)}
+                      onChange={(e) => setNewComment({...newComment, ocorrencia: e.target.checked ? occurrence : ''})}
+                      className="mr-2"
+                  />
+                  {t('commentForm.occurrenceOnly', { date: formatDate(occurrence) })}
+                </label>
+            )}
+
+            <div className="mb-4">
+              <label htmlFor={`${fieldId}-comentario`} className="block text-sm font-medium mb-1">{t('commentForm.comment')}</label>
+              <textarea
+                  id={`${fieldId}-comentario`}
+                  data-autofocus
+                  required
+                  value={newComment.comentario}
+                  onChange={(e) => setNewComment({...newComment, comentario: e.target.value})}
+                  className="w-full p-2 border rounded min-h-32"
+                  placeholder={t('commentForm.commentPlaceholder')}
+              ></textarea>
+              <FieldError message={errors.comentario} />
+            </div>
+
+            {rated && (
+                <div className="mb-4">
+                  <StarRating
+                      label={t('commentForm.rating')}
+                      value={newComment.classificacao}
+                      onChange={(classificacao) => setNewComment({...newComment, classificacao})}
+                  />
+                  <FieldError message={errors.classificacao} />
+                </div>
+            )}
+
+            <div className="flex justify-end gap-2 mt-6">
+              <button
+                  type="button"
+                  onClick={onCancel}
+                  className="px-4 py-2 bg-gray-300 text-gray-800 rounded hover:bg-gray-400"
+              >
+                {t('common.cancel')}
+              </button>
+              <button
+                  type="submit"
+                  className="px-4 py-2 bg-blue-500 text-white rounded hover:bg-blue-600"
+              >
+                {editing ? t('common.save') : t('commentForm.publish')}
+              </button>
+            </div>
+          </form>
+      </Dialog>
+  );
+}
+
+export default CommentFormModal;
@@ -0,0 +1,280 @@
+import React, { useState } from 'react';
+import { REACTION_TYPES } from '../api/comentarios';
+import Highlight from './Highlight';
+import { useAuth } from '../auth/AuthProvider';
+import { useI18n } from '../i18n/I18nProvider';
+import { buildThreads, countReplies } from '../utils/commentThreads';
+import { isReply, visibleComments } from '../utils/ratings';
+import { isRecurring } from '../utils/recurrence';
+
+const REACTION_ICONS = {
+  curtir: '👍',
+  util: '💡'
+};
+
+// A partir deste nível as respostas param de recuar, para a conversa caber na linha expandida
+const MAX_INDENT_DEPTH = 3;
+
+// Teclas que movem o foco entre os comentários visíveis -> índice do próximo
+const COMMENT_NAVIGATION_KEYS = {
+  ArrowDown: (index) => index + 1,
+  ArrowUp: (index) => index - 1,
+  Home: () => 0,
+  End: (index, count) => count - 1
+};
+
+const ReactionButtons = ({ event, comment, hasReacted, onToggleReaction }) => {
+  const { t } = useI18n();
+
+  return (
+      <div className="flex gap-2">
+        {REACTION_TYPES.map(type => {
+          const reacted = hasReacted(comment.id, type);
+          const count = (comment.reacoes && comment.reacoes[type]) || 0;
+          return (
+              <button
+                  key={type}
+                  onClick={() => onToggleReaction(event.id, comment, type)}
+                  aria-pressed={reacted}
+                  title={t(`comments.reactions.${type}`)}
+                  className={`px-2 py-0.5 rounded-full border text-xs ${reacted
+                      ? 'bg-blue-100 border-blue-300 text-blue-800'
+                      : 'bg-white text-gray-600 hover:bg-gray-100'}`}
+              >
+                {REACTION_ICONS[type]} {count}
+              </button>
+          );
+        })}
+      </div>
+  );
+};
+
+const CommentCard = ({ event, comment, highlight, focus, actions }) => {
+  const { t, formatDate } = useI18n();
+  const { canEdit } = useAuth();
+  const { onReplyComment, onEditComment, onDeleteComment, onReportComment } = actions;
+
+  // In a series, whether the comment is about one date or the whole series (replies follow their parent)
+  const about = !isRecurring(event) || isReply(comment)
+      ? null
+      : comment.ocorrencia
+          ? t('comments.aboutOccurrence', { date: formatDate(comment.ocorrencia) })
+          : event.ocorrencia && t('comments.aboutSeries');
+
+  return (
+      <article
+          data-comment
+          tabIndex={focus.tabbableId === String(comment.id) ? 0 : -1}
+          onFocus={(e) => e.target === e.currentTarget && focus.onFocus(String(comment.id))}
+          aria-label={t('comments.by', { name: comment.nome_usuario || t('common.anonymous') })}
+          className="p-4 rounded-lg border bg-white shadow-sm focus:outline-none focus-visible:ring-2 focus-visible:ring-blue-500"
+      >
+        <div className="flex items-center mb-2">
+          <div className="w-10 h-10 rounded-full bg-blue-500 flex items-center justify-center text-white font-bold mr-3">
+            {comment.nome_usuario ? comment.nome_usuario.charAt(0).toUpperCase() : 'A'}
+          </div>
+          <div>
+            <div className="font-semibold">{comment.nome_usuario || t('common.anonymous')}</div>
+            {/* Replies carry no rating */}
+            {!isReply(comment) && (
+                <div className="text-xs text-gray-500 flex items-center">
+                  <span className="mr-1 text-yellow-500">★</span>
+                  {comment.classificacao}/5
+                </div>
+            )}
+            {about && <div className="text-xs text-gray-500">{about}</div>}
+          </div>
+          {comment.pendente ? (
+              <span className="ml-auto text-xs px-2 py-1 rounded bg-yellow-100 text-yellow-800">{t('common.pending')}</span>
+          ) : (
+              <div className="ml-auto flex gap-3 text-sm">
+                <button
+                    onClick={() => onReplyComment(comment)}
+                    className="text-green-700 hover:underline"
+                >
+                  {t('comments.reply')}
+                </button>
+                {canEdit(comment) && (
+                    <>
+                      <button
+                          onClick={() => onEditComment(event.id, comment)}
+                          className="text-blue-600 hover:underline"
+                      >
+                        {t('common.edit')}
+                      </button>
+                      <button
+                          onClick={() => onDeleteComment(event.id, comment)}
+                          className="text-red-600 hover:underline"
+                      >
+                        {t('common.delete')}
+                      </button>
+                    </>
+                )}
+                {comment.denunciado ? (
+                    <span className="text-gray-400">{t('comments.reported')}</span>
+                ) : (
+                    <button
+                        onClick={() => onReportComment(event.id, comment)}
+                        className="text-gray-600 hover:underline"
+                    >
+                      {t('comments.report')}
+                    </button>
+                )}
+              </div>
+          )}
+        </div>
+        <div className="ml-12">
+          <p className="text-gray-800">
+            {comment.comentario ? <Highlight text={comment.comentario} query={highlight} /> : t('comments.noText')}
+          </p>
+          {!comment.pendente && (
+              <div className="mt-2">
+                <ReactionButtons
+                    event={event}
+                    comment={comment}
+                    hasReacted={actions.hasReacted}
+                    onToggleReaction={actions.onToggleReaction}
+                />
+              </div>
+          )}
+        </div>
+      </article>
+  );
+};
+
+// Um comentário com as respostas abaixo dele, recolhidas até a pessoa abrir a conversa
+const CommentThread = ({ event, thread, depth, expandedIds, onToggleThread, highlight, focus, actions }) => {
+  const { t } = useI18n();
+  const { comment, replies } = thread;
+  const expanded = expandedIds.has(String(comment.id));
+  const replyCount = countReplies(thread);
+
+  return (
+      <div>
+        <CommentCard event={event} comment={comment} highlight={highlight} focus={focus} actions={actions} />
+        {replies.length > 0 && (
+            <div className={depth < MAX_INDENT_DEPTH ? 'ml-6 pl-4 border-l-2 border-gray-200' : ''}>
+              <button
+                  onClick={() => onToggleThread(comment.id)}
+                  aria-expanded={expanded}
+                  className="mt-2 text-sm text-blue-700 hover:underline"
+              >
+                {expanded ? t('comments.hideReplies') : t('comments.showReplies', { count: replyCount })}
+              </button>
+              {expanded && (
+                  <div className="mt-2 space-y-2">
+                    {replies.map(reply => (
+                        <CommentThread
+                            key={reply.comment.id}
+                            event={event}
+                            thread={reply}
+                            depth={depth + 1}
+                            expandedIds={expandedIds}
+                            onToggleThread={onToggleThread}
+                            highlight={highlight}
+                            focus={focus}
+                            actions={actions}
+                        />
+                    ))}
+                  </div>
+              )}
+            </div>
+        )}
+      </div>
+  );
+};
+
+// Ids dos comentários na ordem em que aparecem, sem as respostas das conversas recolhidas
+const shownCommentIds = (threads, expandedIds) => threads.flatMap(({ comment, replies }) => [
+  String(comment.id),
+  ...(expandedIds.has(String(comment.id)) ? shownCommentIds(replies, expandedIds) : [])
+]);
+
+// Comentários de um evento em conversas (respostas aninhadas), com as ações de cada comentário
+// e o botão de novo comentário; highlight marca no texto os termos buscados na lista.
+// Tab entra na lista por um comentário e as setas (Home/End) passam para os outros.
+function CommentsSection({ event, highlight = '', onNewComment, onReplyComment, ...commentActions }) {
+  const threads = buildThreads(visibleComments(event));
+  const [expandedIds, setExpandedIds] = useState(() => new Set());
+  const [activeCommentId, setActiveCommentId] = useState(null);
+  const { t } = useI18n();
+
+  const shownIds = shownCommentIds(threads, expandedIds);
+  const focus = {
+    tabbableId: shownIds.includes(activeCommentId) ? activeCommentId : shownIds[0],
+    onFocus: setActiveCommentId
+  };
+
+  // Only keys pressed on a comment itself; its buttons keep their own behavior
+  const handleKeyDown = (e) => {
+    if (!e.target.hasAttribute('data-comment') || !COMMENT_NAVIGATION_KEYS[e.key]) return;
+    e.preventDefault();
+    e.stopPropagation();
+    const cards = [...e.currentTarget.querySelectorAll('[data-comment]')];
+    const index = COMMENT_NAVIGATION_KEYS[e.key](cards.indexOf(e.target), cards.length);
+    cards[Math.max(0, Math.min(index, cards.length - 1))].focus();
+  };
+
+  const setExpanded = (commentId, expanded) => {
+    setExpandedIds(current => {
+      const next = new Set(current);
+      if (expanded) {
+        next.add(String(commentId));
+      } else {
+        next.delete(String(commentId));
+      }
+      return next;
+    });
+  };
+
+  const toggleThread = (commentId) => setExpanded(commentId, !expandedIds.has(String(commentId)));
+
+  // The answered thread opens so the new reply shows up under its parent
+  const actions = {
+    ...commentActions,
+    onReplyComment: (comment) => {
+      setExpanded(comment.id, true);
+      onReplyComment(event.id, comment);
+    }
+  };
+
+  return (
+      <div className="p-4">
+        <h3 className="font-bold text-lg mb-4">{t('comments.title')}</h3>
+        {threads.length > 0 ? (
+            <div onKeyDown={handleKeyDown} className="space-y-4">
+              {threads.map(thread => (
+                  <CommentThread
+                      key={thread.comment.id}
+                      event={event}
+                      thread={thread}
+                      depth={0}
+                      expandedIds={expandedIds}
+                      onToggleThread={toggleThread}
+                      highlight={highlight}
+                      focus={focus}
+                      actions={actions}
+                  />
+              ))}
+            </div>
+        ) : (
+            <div className="text-gray-500 p-4 bg-white rounded-lg border">{t('comments.empty')}</div>
+        )}
+
+        {/* Add new comment button */}
+        <div className="mt-4">
+          <button
+              onClick={() => onNewComment(event.id, event.ocorrencia || null)}
+              className="px-4 py-2 bg-green-500 text-white rounded hover:bg-green-600 transition flex items-center"
+          >
+            <svg className="w-4 h-4 mr-2" fill="none" stroke="currentColor" viewBox="0 0 24 24" xmlns="http://www.w3.org/2000/svg">
+              <path strokeLinecap="round" strokeLinejoin="round" strokeWidth="2" d="M12 6v6m0 0v6m0-6h6m-6 0H6"></path>
+            </svg>
+            {t('comments.add')}
+          </button>
+        </div>
+      </div>
+  );
+}
+
+export default CommentsSection;
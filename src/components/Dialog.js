@@ -0,0 +1,80 @@
+import React, { useEffect, useId, useRef } from 'react';
+
+// Elementos que o Tab alcança dentro da janela
+const FOCUSABLE = [
+  'a[href]',
+  'button:not([disabled])',
+  'input:not([disabled])',
+  'select:not([disabled])',
+  'textarea:not([disabled])',
+  '[tabindex]:not([tabindex="-1"])'
+].join(', ');
+
+/**
+ * Janela modal acessível: role="dialog" nomeada pelo título (e descrita por description).
+ * Ao abrir, o foco vai para o campo marcado com data-autofocus (ou o primeiro) e fica preso na janela.
+ * Escape chama onClose (sem onClose a janela só fecha pelos próprios botões);
+ * ao fechar, o foco volta para o elemento que abriu a janela.
+ */
+function Dialog({ title, description, onClose, className = 'max-w-md', children }) {
+  const panelRef = useRef(null);
+  const titleId = useId();
+  const descriptionId = useId();
+
+  useEffect(() => {
+    const opener = document.activeElement;
+    const panel = panelRef.current;
+    (panel.querySelector('[data-autofocus]') || panel.querySelector(FOCUSABLE) || panel).focus();
+
+    return () => {
+      if (opener && document.body.contains(opener)) opener.focus();
+    };
+  }, []);
+
+  const handleKeyDown = (e) => {
+    if (e.key === 'Escape' && onClose) {
+      e.stopPropagation();
+      onClose();
+      return;
+    }
+    if (e.key !== 'Tab') return;
+
+    // Tab on the last field goes back to the first one, and Shift+Tab on the first to the last
+    const focusable = [...panelRef.current.querySelectorAll(FOCUSABLE)];
+    if (focusable.length === 0) {
+      e.preventDefault();
+      return;
+    }
+    const first = focusable[0];
+    const last = focusable[focusable.length - 1];
+    const inside = focusable.includes(document.activeElement);
+    if (e.shiftKey && (document.activeElement === first || !inside)) {
+      e.preventDefault();
+      last.focus();
+    } else if (!e.shiftKey && (document.activeElement === last || !inside)) {
+      e.preventDefault();
+      first.focus();
+    }
+  };
+
+  return (
+      <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50">
+        <div
+            ref={panelRef}
+            role="dialog"
+            aria-modal="true"
+            aria-labelledby={titleId}
+            aria-describedby={description ? descriptionId : undefined}
+            tabIndex={-1}
+            onKeyDown={handleKeyDown}
+            className={`bg-white p-6 rounded-lg shadow-lg w-full focus:outline-none ${className}`}
+        >
+          <h2 id={titleId} className={`text-xl font-bold ${description ? 'mb-1' : 'mb-4'}`}>{title}</h2>
+          {description && <p id={descriptionId} className="text-sm text-gray-500 mb-4">{description}</p>}
+          {children}
+        </div>
+      </div>
+  );
+}
+
+export default Dialog;
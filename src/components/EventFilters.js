@@ -0,0 +1,177 @@
+import React, { useId } from 'react';
+import { useI18n } from '../i18n/I18nProvider';
+import { DURATION_TYPES } from '../utils/eventDates';
+import { hasActiveFilters } from '../utils/filters';
+
+// Painel de filtros da lista de eventos; options traz as categorias e tags em uso
+function EventFilters({ filters, options = { categories: [], tags: [] }, updateFilter, resetFilters }) {
+  const { t } = useI18n();
+  const fieldId = useId();
+
+  return (
+      <div className="mb-6 flex flex-wrap gap-4 bg-white p-4 rounded-lg shadow">
+        <div className="flex-1 min-w-64">
+          <label htmlFor={`${fieldId}-search`} className="block text-sm font-medium mb-1">{t('filters.search')}</label>
+          <input
+              id={`${fieldId}-search`}
+              type="text"
+              placeholder={t('filters.searchPlaceholder')}
+              value={filters.searchTerm}
+              onChange={(e) => updateFilter('searchTerm', e.target.value)}
+              className="w-full p-2 border rounded"
+          />
+          {filters.searchTerm && (
+              <label className="flex items-center text-sm mt-1">
+                <input
+                    type="checkbox"
+                    checked={filters.relevance}
+                    onChange={(e) => updateFilter('relevance', e.target.checked)}
+                    className="mr-2"
+                />
+                {t('filters.relevance')}
+              </label>
+          )}
+        </div>
+
+        <div className="flex-1 min-w-40">
+          <label htmlFor={`${fieldId}-from`} className="block text-sm font-medium mb-1">{t('filters.from')}</label>
+          <input
+              id={`${fieldId}-from`}
+              type="date"
+              value={filters.dateFrom}
+              max={filters.dateTo || undefined}
+              onChange={(e) => updateFilter('dateFrom', e.target.value)}
+              className="w-full p-2 border rounded"
+          />
+        </div>
+
+        <div className="flex-1 min-w-40">
+          <label htmlFor={`${fieldId}-to`} className="block text-sm font-medium mb-1">{t('filters.to')}</label>
+          <input
+              id={`${fieldId}-to`}
+              type="date"
+              value={filters.dateTo}
+              min={filters.dateFrom || undefined}
+              onChange={(e) => updateFilter('dateTo', e.target.value)}
+              className="w-full p-2 border rounded"
+          />
+        </div>
+
+        <div className="flex-1 min-w-40">
+          <label htmlFor={`${fieldId}-minRating`} className="block text-sm font-medium mb-1">{t('filters.minRating')}</label>
+          <select
+              id={`${fieldId}-minRating`}
+              value={filters.minRating}
+              onChange={(e) => updateFilter('minRating', e.target.value)}
+              className="w-full p-2 border rounded"
+          >
+            <option value="">{t('filters.any')}</option>
+            {[1, 2, 3, 4, 5].map(rating => (
+                <option key={rating} value={rating}>★ {rating}+</option>
+            ))}
+          </select>
+        </div>
+
+        <div className="flex-1 min-w-40">
+          <label htmlFor={`${fieldId}-duration`} className="block text-sm font-medium mb-1">{t('filters.duration')}</label>
+          <select
+              id={`${fieldId}-duration`}
+              value={filters.durationType}
+              onChange={(e) => updateFilter('durationType', e.target.value)}
+              className="w-full p-2 border rounded"
+          >
+            <option value="">{t('filters.any')}</option>
+            {DURATION_TYPES.map(type => (
+                <option key={type} value={type}>{t(`duration.types.${type}`)}</option>
+            ))}
+          </select>
+        </div>
+
+        <div className="flex-1 min-w-40">
+          <label htmlFor={`${fieldId}-category`} className="block text-sm font-medium mb-1">{t('filters.category')}</label>
+          <select
+              id={`${fieldId}-category`}
+              value={filters.category}
+              onChange={(e) => updateFilter('category', e.target.value)}
+              className="w-full p-2 border rounded"
+          >
+            <option value="">{t('filters.any')}</option>
+            {/* A category from a shared link may not be among the loaded events */}
+            {filters.category && !options.categories.includes(filters.category) && (
+                <option value={filters.category}>{filters.category}</option>
+            )}
+            {options.categories.map(category => (
+                <option key={category} value={category}>{category}</option>
+            ))}
+          </select>
+        </div>
+
+        <div className="flex-1 min-w-40">
+          <label htmlFor={`${fieldId}-tag`} className="block text-sm font-medium mb-1">{t('filters.tag')}</label>
+          <select
+              id={`${fieldId}-tag`}
+              value={filters.tag}
+              onChange={(e) => updateFilter('tag', e.target.value)}
+              className="w-full p-2 border rounded"
+          >
+            <option value="">{t('filters.any')}</option>
+            {filters.tag && !options.tags.includes(filters.tag) && (
+                <option value={filters.tag}>{filters.tag}</option>
+            )}
+            {options.tags.map(tag => (
+                <option key={tag} value={tag}>{tag}</option>
+            ))}
+          </select>
+        </div>
+
+        <div className="flex-1 min-w-40">
+          <label htmlFor={`${fieldId}-location`} className="block text-sm font-medium mb-1">{t('filters.location')}</label>
+          <input
+              id={`${fieldId}-location`}
+              type="text"
+              value={filters.location}
+              onChange={(e) => updateFilter('location', e.target.value)}
+              placeholder={t('filters.locationPlaceholder')}
+              className="w-full p-2 border rounded"
+          />
+        </div>
+
+        <div className="flex-1 min-w-40">
+          <label htmlFor={`${fieldId}-status`} className="block text-sm font-medium mb-1">{t('filters.status')}</label>
+          <select
+              id={`${fieldId}-status`}
+              value={filters.status}
+              onChange={(e) => updateFilter('status', e.target.value)}
+              className="w-full p-2 border rounded"
+          >
+            <option value="">{t('filters.allStatuses')}</option>
+            <option value="upcoming">{t('filters.statuses.upcoming')}</option>
+            <option value="ongoing">{t('filters.statuses.ongoing')}</option>
+            <option value="past">{t('filters.statuses.past')}</option>
+          </select>
+        </div>
+
+        <div className="flex items-end gap-4">
+          <label className="flex items-center text-sm font-medium p-2">
+            <input
+                type="checkbox"
+                checked={filters.hasComments}
+                onChange={(e) => updateFilter('hasComments', e.target.checked)}
+                className="mr-2"
+            />
+            {t('filters.withComments')}
+          </label>
+          {hasActiveFilters(filters) && (
+              <button
+                  onClick={resetFilters}
+                  className="px-4 py-2 bg-gray-300 text-gray-800 rounded hover:bg-gray-400"
+              >
+                {t('filters.clear')}
+              </button>
+          )}
+        </div>
+      </div>
+  );
+}
+
+export default EventFilters;
@@ -0,0 +1,199 @@
+import React, { useId, useState } from 'react';
+import Dialog from './Dialog';
+import FieldError from './FieldError';
+import RecurrenceFields from './RecurrenceFields';
+import TagInput from './TagInput';
+import { useI18n } from '../i18n/I18nProvider';
+import { DURATION_TYPES } from '../utils/eventDates';
+
+export const emptyEvent = {
+  nome: '',
+  data: '',
+  duracao_qtd: '',
+  duracao_tipo: 'dias',
+  categoria: '',
+  tags: [],
+  local: '',
+  descricao: '',
+  recorrencia: null
+};
+
+// Números da repetição vão como números; o término que não foi escolhido vai como null
+const normalizeRecurrence = (recorrencia) => recorrencia && {
+  ...recorrencia,
+  intervalo: Number(recorrencia.intervalo) || 1,
+  ate: recorrencia.ate || null,
+  ocorrencias: Number(recorrencia.ocorrencias) || null
+};
+
+// Modal de criação/edição de evento; o rascunho fica aqui até o envio dar certo.
+// suggestions traz as categorias e tags já usadas, para completar os campos.
+// Com occurrence (a data original) só essa ocorrência de uma série é editada, sem a repetição
+function EventFormModal({
+  title,
+  occurrence = null,
+  initialValues = emptyEvent,
+  suggestions = { categories: [], tags: [] },
+  errors = {},
+  onSubmit,
+  onCancel
+}) {
+  const [newEvent, setNewEvent] = useState(initialValues);
+  const { t, formatDate } = useI18n();
+  const fieldId = useId();
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    if (occurrence) {
+      const { recorrencia, ...values } = newEvent;
+      onSubmit(values);
+    } else {
+      onSubmit({ ...newEvent, recorrencia: normalizeRecurrence(newEvent.recorrencia) });
+    }
+  };
+
+  return (
+      <Dialog
+          title={title}
+          description={occurrence ? t('eventForm.occurrenceOnly', { date: formatDate(occurrence) }) : undefined}
+          onClose={onCancel}
+          className="max-w-md max-h-[90vh] overflow-y-auto"
+      >
+          <form onSubmit={handleSubmit}>
+            <div className="mb-4">
+              <label htmlFor={`${fieldId}-nome`} className="block text-sm font-medium mb-1">{t('eventForm.name')}</label>
+              <input
+                  id={`${fieldId}-nome`}
+                  type="text"
+                  required
+                  value={newEvent.nome}
+                  onChange={(e) => setNewEvent({...newEvent, nome: e.target.value})}
+                  className="w-full p-2 border rounded"
+              />
+              <FieldError message={errors.nome} />
+            </div>
+
+            <div className="mb-4">
+              <label htmlFor={`${fieldId}-data`} className="block text-sm font-medium mb-1">{t('eventForm.date')}</label>
+              <input
+                  id={`${fieldId}-data`}
+                  type="date"
+                  required
+                  value={newEvent.data}
+                  onChange={(e) => setNewEvent({...newEvent, data: e.target.value})}
+                  className="w-full p-2 border rounded"
+              />
+              <FieldError message={errors.data} />
+            </div>
+
+            <div className="mb-4 grid grid-cols-2 gap-4">
+              <div>
+                <label htmlFor={`${fieldId}-duracao_qtd`} className="block text-sm font-medium mb-1">{t('eventForm.durationAmount')}</label>
+                <input
+                    id={`${fieldId}-duracao_qtd`}
+                    type="number"
+                    required
+                    min="1"
+                    value={newEvent.duracao_qtd}
+                    onChange={(e) => setNewEvent({...newEvent, duracao_qtd: e.target.value})}
+                    className="w-full p-2 border rounded"
+                />
+                <FieldError message={errors.duracao_qtd} />
+              </div>
+
+              <div>
+                <label htmlFor={`${fieldId}-duracao_tipo`} className="block text-sm font-medium mb-1">{t('eventForm.durationType')}</label>
+                <select
+                    id={`${fieldId}-duracao_tipo`}
+                    value={newEvent.duracao_tipo}
+                    onChange={(e) => setNewEvent({...newEvent, duracao_tipo: e.target.value})}
+                    className="w-full p-2 border rounded"
+                >
+                  {DURATION_TYPES.map(type => (
+                      <option key={type} value={type}>{t(`duration.types.${type}`)}</option>
+                  ))}
+                </select>
+                <FieldError message={errors.duracao_tipo} />
+              </div>
+            </div>
+
+            {!occurrence && (
+                <RecurrenceFields
+                    value={newEvent.recorrencia}
+                    start={newEvent.data}
+                    error={errors.recorrencia}
+                    onChange={(recorrencia) => setNewEvent(current => ({...current, recorrencia}))}
+                />
+            )}
+
+            <div className="mb-4">
+              <label htmlFor={`${fieldId}-categoria`} className="block text-sm font-medium mb-1">{t('eventForm.category')}</label>
+              <input
+                  id={`${fieldId}-categoria`}
+                  type="text"
+                  list={`${fieldId}-categorias`}
+                  value={newEvent.categoria}
+                  onChange={(e) => setNewEvent({...newEvent, categoria: e.target.value})}
+                  className="w-full p-2 border rounded"
+              />
+              <datalist id={`${fieldId}-categorias`}>
+                {suggestions.categories.map(category => <option key={category} value={category} />)}
+              </datalist>
+              <FieldError message={errors.categoria} />
+            </div>
+
+            <div className="mb-4">
+              <label htmlFor={`${fieldId}-tags`} className="block text-sm font-medium mb-1">{t('eventForm.tags')}</label>
+              <TagInput
+                  id={`${fieldId}-tags`}
+                  value={newEvent.tags}
+                  onChange={(tags) => setNewEvent(current => ({...current, tags}))}
+                  suggestions={suggestions.tags}
+              />
+              <FieldError message={errors.tags} />
+            </div>
+
+            <div className="mb-4">
+              <label htmlFor={`${fieldId}-local`} className="block text-sm font-medium mb-1">{t('eventForm.location')}</label>
+              <input
+                  id={`${fieldId}-local`}
+                  type="text"
+                  value={newEvent.local}
+                  onChange={(e) => setNewEvent({...newEvent, local: e.target.value})}
+                  className="w-full p-2 border rounded"
+              />
+              <FieldError message={errors.local} />
+            </div>
+
+            <div className="mb-4">
+              <label htmlFor={`${fieldId}-descricao`} className="block text-sm font-medium mb-1">{t('eventForm.description')}</label>
+              <textarea
+                  id={`${fieldId}-descricao`}
+                  value={newEvent.descricao}
+                  onChange={(e) => setNewEvent({...newEvent, descricao: e.target.value})}
+                  className="w-full p-2 border rounded min-h-24"
+              ></textarea>
+              <FieldError message={errors.descricao} />
+            </div>
+
+            <div className="flex justify-end gap-2 mt-6">
+              <button
+                  type="button"
+                  onClick={onCancel}
+                  className="px-4 py-2 bg-gray-300 text-gray-800 rounded hover:bg-gray-400"
+              >
+                {t('common.cancel')}
+              </button>
+              <button
+                  type="submit"
+                  className="px-4 py-2 bg-blue-500 text-white rounded hover:bg-blue-600"
+              >
+                {t('eventForm.submit')}
+              </button>
+            </div>
+          </form>
+      </Dialog>
+  );
+}
+
+export default EventFormModal;
@@ -0,0 +1,9 @@
+import React from 'react';
+
+// Mensagem de validação exibida abaixo de um campo de formulário
+function FieldError({ message }) {
+  if (!message) return null;
+  return <p role="alert" className="text-sm text-red-600 mt-1">{message}</p>;
+}
+
+export default FieldError;
@@ -0,0 +1,17 @@
+import React from 'react';
+import { highlightSegments } from '../utils/search';
+
+// Texto com os trechos encontrados pela busca marcados
+function Highlight({ text, query }) {
+  if (!query) return <>{text}</>;
+
+  return (
+      <>
+        {highlightSegments(text, query).map((segment, index) => segment.match
+            ? <mark key={index} className="bg-yellow-200 rounded-sm">{segment.text}</mark>
+            : <React.Fragment key={index}>{segment.text}</React.Fragment>)}
+      </>
+  );
+}
+
+export default Highlight;
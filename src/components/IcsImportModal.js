@@ -0,0 +1,111 @@
+import React, { useState } from 'react';
+import Dialog from './Dialog';
+import RecurrenceSummary from './RecurrenceSummary';
+import { useI18n } from '../i18n/I18nProvider';
+
+// Pré-visualização de um .ics importado: mostra os erros de validação e cria os eventos válidos
+function IcsImportModal({ filename, items, onImport, onClose }) {
+  const [importing, setImporting] = useState(false);
+  const [failures, setFailures] = useState(null);
+  const { t, formatDate, formatDuration } = useI18n();
+  const validItems = items.filter(item => item.errors.length === 0);
+
+  const handleImport = async () => {
+    setImporting(true);
+    const result = await onImport(validItems.map(item => item.values));
+    setImporting(false);
+    if (result.failures.length === 0) {
+      onClose();
+    } else {
+      setFailures(result.failures);
+    }
+  };
+
+  return (
+      <Dialog
+          title={t('ics.title')}
+          description={t('ics.summary', { filename, found: items.length, valid: validItems.length })}
+          onClose={importing ? undefined : onClose}
+          className="max-w-3xl max-h-[90vh] flex flex-col"
+      >
+
+          {failures ? (
+              <div className="overflow-y-auto">
+                <p role="alert" className="mb-2 text-red-600">{t('ics.rejected')}</p>
+                <ul className="space-y-1 text-sm">
+                  {failures.map((failure, index) => (
+                      <li key={index}>
+                        <span className="font-semibold">{failure.values.nome}</span>: {failure.message}
+                      </li>
+                  ))}
+                </ul>
+              </div>
+          ) : (
+              <div className="overflow-y-auto border rounded">
+                <table className="min-w-full text-sm">
+                  <thead className="bg-gray-100">
+                  <tr>
+                    <th className="py-2 px-3 text-left font-semibold">{t('list.name')}</th>
+                    <th className="py-2 px-3 text-left font-semibold">{t('list.date')}</th>
+                    <th className="py-2 px-3 text-left font-semibold">{t('list.duration')}</th>
+                    <th className="py-2 px-3 text-left font-semibold">{t('ics.validation')}</th>
+                  </tr>
+                  </thead>
+                  <tbody>
+                  {items.map(item => (
+                      <tr key={item.index} className={`border-t ${item.errors.length ? 'bg-red-50' : ''}`}>
+                        <td className="py-2 px-3">{item.values.nome || '—'}</td>
+                        <td className="py-2 px-3">
+                          {item.values.data ? formatDate(item.values.data, item.values.data.includes('T') ? 'Pp' : 'P') : '—'}
+                          {item.values.recorrencia && (
+                              <div className="text-xs text-gray-500">
+                                <RecurrenceSummary recurrence={item.values.recorrencia} />
+                              </div>
+                          )}
+                        </td>
+                        <td className="py-2 px-3">
+                          {item.values.duracao_qtd ? formatDuration(item.values.duracao_qtd, item.values.duracao_tipo) : '—'}
+                        </td>
+                        <td className="py-2 px-3">
+                          {item.errors.map(issue => (
+                              <div key={issue.code} className="text-red-600">{t(`ics.issues.${issue.code}`, issue)}</div>
+                          ))}
+                          {item.warnings.map(issue => (
+                              <div key={issue.code} className="text-yellow-700">{t(`ics.issues.${issue.code}`, issue)}</div>
+                          ))}
+                          {item.errors.length === 0 && item.warnings.length === 0 && (
+                              <span className="text-green-700">{t('ics.ok')}</span>
+                          )}
+                        </td>
+                      </tr>
+                  ))}
+                  </tbody>
+                </table>
+              </div>
+          )}
+
+          <div className="flex justify-end gap-2 mt-6">
+            <button
+                type="button"
+                onClick={onClose}
+                disabled={importing}
+                className="px-4 py-2 bg-gray-300 text-gray-800 rounded hover:bg-gray-400"
+            >
+              {failures ? t('common.close') : t('common.cancel')}
+            </button>
+            {!failures && (
+                <button
+                    type="button"
+                    onClick={handleImport}
+                    disabled={importing || validItems.length === 0}
+                    className="px-4 py-2 bg-blue-500 text-white rounded hover:bg-blue-600 disabled:opacity-50"
+                >
+                  {importing ? t('ics.importing') : t('ics.import', { count: validItems.length })}
+                </button>
+            )}
+          </div>
+      </Dialog>
+  );
+}
+
+export default IcsImportModal;
@@ -0,0 +1,88 @@
+import React, { useId, useState } from 'react';
+import Dialog from './Dialog';
+import FieldError from './FieldError';
+import { UnauthorizedError, ValidationError } from '../api/errors';
+import { useAuth } from '../auth/AuthProvider';
+import { useI18n } from '../i18n/I18nProvider';
+
+// Modal de login; onLoggedIn recebe o usuário quando o servidor aceita as credenciais
+function LoginModal({ onLoggedIn, onCancel }) {
+  const [credentials, setCredentials] = useState({ usuario: '', senha: '' });
+  const [errors, setErrors] = useState({});
+  const [message, setMessage] = useState(null);
+  const [submitting, setSubmitting] = useState(false);
+  const { login } = useAuth();
+  const { t, formatError } = useI18n();
+  const fieldId = useId();
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setSubmitting(true);
+    setMessage(null);
+    try {
+      const user = await login(credentials);
+      onLoggedIn(user);
+    } catch (err) {
+      setSubmitting(false);
+      setErrors(err instanceof ValidationError ? err.fieldErrors : {});
+      setMessage(err instanceof UnauthorizedError
+          ? t('auth.invalidCredentials')
+          : t('common.error', { message: formatError(err) }));
+    }
+  };
+
+  return (
+      <Dialog title={t('auth.title')} onClose={onCancel} className="max-w-sm">
+          <form onSubmit={handleSubmit}>
+            <div className="mb-4">
+              <label htmlFor={`${fieldId}-usuario`} className="block text-sm font-medium mb-1">{t('auth.username')}</label>
+              <input
+                  id={`${fieldId}-usuario`}
+                  type="text"
+                  required
+                  autoComplete="username"
+                  value={credentials.usuario}
+                  onChange={(e) => setCredentials({...credentials, usuario: e.target.value})}
+                  className="w-full p-2 border rounded"
+              />
+              <FieldError message={errors.usuario} />
+            </div>
+
+            <div className="mb-4">
+              <label htmlFor={`${fieldId}-senha`} className="block text-sm font-medium mb-1">{t('auth.password')}</label>
+              <input
+                  id={`${fieldId}-senha`}
+                  type="password"
+                  required
+                  autoComplete="current-password"
+                  value={credentials.senha}
+                  onChange={(e) => setCredentials({...credentials, senha: e.target.value})}
+                  className="w-full p-2 border rounded"
+              />
+              <FieldError message={errors.senha} />
+            </div>
+
+            <FieldError message={message} />
+
+            <div className="flex justify-end gap-2 mt-6">
+              <button
+                  type="button"
+                  onClick={onCancel}
+                  className="px-4 py-2 bg-gray-300 text-gray-800 rounded hover:bg-gray-400"
+              >
+                {t('common.cancel')}
+              </button>
+              <button
+                  type="submit"
+                  disabled={submitting}
+                  className="px-4 py-2 bg-blue-500 text-white rounded hover:bg-blue-600 disabled:opacity-50"
+              >
+                {submitting ? t('auth.submitting') : t('auth.submit')}
+              </button>
+            </div>
+          </form>
+      </Dialog>
+  );
+}
+
+export default LoginModal;
@@ -0,0 +1,61 @@
+import React from 'react';
+import { useI18n } from '../i18n/I18nProvider';
+import { isReply } from '../utils/ratings';
+
+// Lista os comentários denunciados de todos os eventos para a moderação
+function ModerationPanel({ reports, onHide, onDelete, onDismiss, onClose }) {
+  const { t } = useI18n();
+
+  return (
+      <div className="mb-6 bg-white p-4 rounded-lg shadow">
+        <div className="flex justify-between items-center mb-4">
+          <h2 className="text-xl font-bold">{t('moderation.title')}</h2>
+          <button
+              onClick={onClose}
+              className="px-3 py-1 bg-gray-300 text-gray-800 rounded hover:bg-gray-400"
+          >
+            {t('common.close')}
+          </button>
+        </div>
+
+        {reports.length > 0 ? (
+            <div className="space-y-4">
+              {reports.map(({ event, comment }) => (
+                  <div key={comment.id} className="p-4 rounded-lg border bg-gray-50">
+                    <div className="text-xs text-gray-500 mb-1">{t('moderation.event', { name: event.nome || t('common.unnamedEvent') })}</div>
+                    <div className="font-semibold">
+                      {comment.nome_usuario || t('common.anonymous')}
+                      {!isReply(comment) && <span className="ml-2 text-xs text-yellow-500">★ {comment.classificacao}/5</span>}
+                    </div>
+                    <p className="text-gray-800 mt-1">{comment.comentario || t('comments.noText')}</p>
+                    <div className="flex gap-2 mt-3">
+                      <button
+                          onClick={() => onHide(event.id, comment)}
+                          className="px-3 py-1 bg-yellow-500 text-white rounded hover:bg-yellow-600 transition"
+                      >
+                        {t('moderation.hide')}
+                      </button>
+                      <button
+                          onClick={() => onDelete(event.id, comment)}
+                          className="px-3 py-1 bg-red-500 text-white rounded hover:bg-red-600 transition"
+                      >
+                        {t('moderation.remove')}
+                      </button>
+                      <button
+                          onClick={() => onDismiss(event.id, comment)}
+                          className="px-3 py-1 bg-gray-300 text-gray-800 rounded hover:bg-gray-400 transition"
+                      >
+                        {t('moderation.keep')}
+                      </button>
+                    </div>
+                  </div>
+              ))}
+            </div>
+        ) : (
+            <div className="text-gray-500 p-4 bg-gray-50 rounded-lg border">{t('moderation.empty')}</div>
+        )}
+      </div>
+  );
+}
+
+export default ModerationPanel;
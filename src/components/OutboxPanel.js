@@ -0,0 +1,56 @@
+import React from 'react';
+import { useI18n } from '../i18n/I18nProvider';
+
+// Criações feitas offline aguardando envio, e as que o servidor recusou ao reenviar
+function OutboxPanel({ entries, online, onSendNow, onRetry, onDiscard }) {
+  const { t } = useI18n();
+  if (entries.length === 0) return null;
+  const failed = entries.filter(entry => entry.status === 'falhou');
+  const pending = entries.length - failed.length;
+
+  const describeEntry = (entry) => entry.type === 'evento'
+      ? t('outbox.eventLabel', { name: entry.payload.nome })
+      : t('outbox.commentLabel', { text: (entry.payload.comentario || '').slice(0, 40) });
+
+  // Stored errors are either server messages or a catalog key set by the outbox itself
+  const describeError = (entry) => entry.errorKey ? t(entry.errorKey) : entry.error;
+
+  return (
+      <div className="mb-6 bg-white p-4 rounded-lg shadow">
+        <h2 className="font-bold mb-2">{t('outbox.title')}</h2>
+        {pending > 0 && (
+            <p className="text-sm text-gray-600 mb-2">
+              {t(online ? 'outbox.sending' : 'outbox.waitingConnection', { count: pending })}
+              {online && (
+                  <button onClick={onSendNow} className="ml-2 text-blue-600 hover:underline">
+                    {t('outbox.sendNow')}
+                  </button>
+              )}
+            </p>
+        )}
+        {failed.length > 0 && (
+            <ul className="space-y-2">
+              {failed.map(entry => (
+                  <li key={entry.id} className="flex justify-between items-center p-2 rounded border border-red-200 bg-red-50 text-sm">
+                    <span>
+                      <span className="font-semibold">{describeEntry(entry)}</span>
+                      {' — '}
+                      {t(entry.conflict ? 'outbox.conflict' : 'outbox.failed', { message: describeError(entry) })}
+                    </span>
+                    <span className="flex gap-2 ml-4">
+                      <button onClick={() => onRetry(entry)} className="text-blue-600 hover:underline">
+                        {t('outbox.retry')}
+                      </button>
+                      <button onClick={() => onDiscard(entry)} className="text-red-600 hover:underline">
+                        {t('outbox.discard')}
+                      </button>
+                    </span>
+                  </li>
+              ))}
+            </ul>
+        )}
+      </div>
+  );
+}
+
+export default OutboxPanel;
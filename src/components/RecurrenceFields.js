@@ -0,0 +1,172 @@
+import React, { useId, useState } from 'react';
+import FieldError from './FieldError';
+import { useI18n } from '../i18n/I18nProvider';
+import { emptyRecurrence, FREQUENCIES } from '../utils/recurrence';
+
+/**
+ * Repetição do evento no formulário: frequência e intervalo, término por data ou por quantidade
+ * de ocorrências e as datas puladas. value null é um evento sem repetição.
+ * start (a data do evento) é o mínimo para o término e para as exceções; error vem do servidor.
+ */
+function RecurrenceFields({ value, start, error, onChange }) {
+  const [exception, setException] = useState('');
+  const [endMode, setEndMode] = useState(value && value.ocorrencias ? 'ocorrencias' : 'ate');
+  const { t, formatDate } = useI18n();
+  const fieldId = useId();
+
+  const update = (changes) => onChange({ ...value, ...changes });
+
+  const changeFrequency = (frequencia) => {
+    if (!frequencia) {
+      onChange(null);
+    } else {
+      onChange({ ...emptyRecurrence, ...value, frequencia });
+    }
+  };
+
+  // Only one way of ending the series is kept
+  const changeEndMode = (mode) => {
+    setEndMode(mode);
+    update({ ate: '', ocorrencias: '' });
+  };
+
+  const addException = () => {
+    if (!exception) return;
+    const excecoes = value.excecoes || [];
+    if (!excecoes.includes(exception)) update({ excecoes: [...excecoes, exception].sort() });
+    setException('');
+  };
+
+  return (
+      <fieldset className="mb-4 p-3 border rounded">
+        <legend className="px-1 text-sm font-medium">{t('recurrence.title')}</legend>
+
+        <div className="grid grid-cols-2 gap-4">
+          <div>
+            <label htmlFor={`${fieldId}-frequencia`} className="block text-sm mb-1">{t('recurrence.frequency')}</label>
+            <select
+                id={`${fieldId}-frequencia`}
+                value={value ? value.frequencia : ''}
+                onChange={(e) => changeFrequency(e.target.value)}
+                className="w-full p-2 border rounded"
+            >
+              <option value="">{t('recurrence.none')}</option>
+              {FREQUENCIES.map(frequency => (
+                  <option key={frequency} value={frequency}>{t(`recurrence.frequencies.${frequency}`)}</option>
+              ))}
+            </select>
+          </div>
+
+          {value && (
+              <div>
+                <label htmlFor={`${fieldId}-intervalo`} className="block text-sm mb-1">{t('recurrence.interval')}</label>
+                <div className="flex items-center gap-2">
+                  <input
+                      id={`${fieldId}-intervalo`}
+                      type="number"
+                      required
+                      min="1"
+                      value={value.intervalo}
+                      onChange={(e) => update({ intervalo: e.target.value })}
+                      className="w-20 p-2 border rounded"
+                  />
+                  <span className="text-sm">{t(`recurrence.units.${value.frequencia}`, { count: Number(value.intervalo) || 1 })}</span>
+                </div>
+              </div>
+          )}
+        </div>
+
+        {value && (
+            <>
+              <div className="mt-3">
+                <span className="block text-sm mb-1">{t('recurrence.ends')}</span>
+                <label className="flex items-center gap-2 text-sm mb-2">
+                  <input
+                      type="radio"
+                      name={`${fieldId}-fim`}
+                      checked={endMode === 'ate'}
+                      onChange={() => changeEndMode('ate')}
+                  />
+                  {t('recurrence.until')}
+                  {endMode === 'ate' && (
+                      <input
+                          type="date"
+                          required
+                          min={start || undefined}
+                          aria-label={t('recurrence.until')}
+                          value={value.ate || ''}
+                          onChange={(e) => update({ ate: e.target.value })}
+                          className="p-1 border rounded"
+                      />
+                  )}
+                </label>
+                <label className="flex items-center gap-2 text-sm">
+                  <input
+                      type="radio"
+                      name={`${fieldId}-fim`}
+                      checked={endMode === 'ocorrencias'}
+                      onChange={() => changeEndMode('ocorrencias')}
+                  />
+                  {t('recurrence.after')}
+                  {endMode === 'ocorrencias' && (
+                      <>
+                        <input
+                            type="number"
+                            required
+                            min="1"
+                            aria-label={t('recurrence.count')}
+                            value={value.ocorrencias || ''}
+                            onChange={(e) => update({ ocorrencias: e.target.value })}
+                            className="w-20 p-1 border rounded"
+                        />
+                        {t('recurrence.occurrences')}
+                      </>
+                  )}
+                </label>
+              </div>
+
+              <div className="mt-3">
+                <label htmlFor={`${fieldId}-excecao`} className="block text-sm mb-1">{t('recurrence.exceptions')}</label>
+                <div className="flex gap-2">
+                  <input
+                      id={`${fieldId}-excecao`}
+                      type="date"
+                      min={start || undefined}
+                      value={exception}
+                      onChange={(e) => setException(e.target.value)}
+                      className="p-1 border rounded"
+                  />
+                  <button
+                      type="button"
+                      onClick={addException}
+                      className="px-3 py-1 bg-gray-300 text-gray-800 rounded hover:bg-gray-400"
+                  >
+                    {t('recurrence.skip')}
+                  </button>
+                </div>
+                {(value.excecoes || []).length > 0 && (
+                    <ul className="flex flex-wrap gap-1 mt-2">
+                      {value.excecoes.map(day => (
+                          <li key={day} className="flex items-center text-sm px-2 py-0.5 rounded-full bg-gray-200">
+                            {formatDate(day)}
+                            <button
+                                type="button"
+                                onClick={() => update({ excecoes: value.excecoes.filter(item => item !== day) })}
+                                aria-label={t('recurrence.removeException', { date: formatDate(day) })}
+                                className="ml-1 text-gray-500 hover:text-gray-800"
+                            >
+                              ×
+                            </button>
+                          </li>
+                      ))}
+                    </ul>
+                )}
+              </div>
+            </>
+        )}
+        <FieldError message={error} />
+      </fieldset>
+  );
+}
+
+export default RecurrenceFields;
@@ -0,0 +1,27 @@
+import React from 'react';
+import { useI18n } from '../i18n/I18nProvider';
+
+// "Semanal, a cada 2 semanas, até 30/06/2024" para a recorrencia de uma série
+function RecurrenceSummary({ recurrence }) {
+  const { t, formatDate } = useI18n();
+  const interval = Number(recurrence.intervalo) || 1;
+  const skipped = (recurrence.excecoes || []).length;
+
+  const parts = [t(`recurrence.frequencies.${recurrence.frequencia}`)];
+  if (interval > 1) {
+    parts.push(t('recurrence.every', {
+      count: interval,
+      unit: t(`recurrence.units.${recurrence.frequencia}`, { count: interval })
+    }));
+  }
+  if (recurrence.ate) {
+    parts.push(t('recurrence.untilDate', { date: formatDate(recurrence.ate) }));
+  } else if (recurrence.ocorrencias) {
+    parts.push(t('recurrence.times', { count: Number(recurrence.ocorrencias) }));
+  }
+  if (skipped > 0) parts.push(t('recurrence.skipped', { count: skipped }));
+
+  return <>{parts.join(', ')}</>;
+}
+
+export default RecurrenceSummary;
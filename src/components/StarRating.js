@@ -0,0 +1,46 @@
+import React, { useId } from 'react';
+import { useI18n } from '../i18n/I18nProvider';
+import { RATING_VALUES } from '../utils/ratings';
+
+/**
+ * Nota de 0 a 5 em estrelas. Por baixo é um grupo de rádios nativos: Tab entra no grupo,
+ * as setas trocam a nota e o leitor de tela anuncia "3 estrelas, 4 de 6".
+ */
+function StarRating({ label, value, onChange }) {
+  const name = useId();
+  const { t } = useI18n();
+  const current = Number(value);
+
+  return (
+      <fieldset>
+        <legend className="block text-sm font-medium mb-1">{label}</legend>
+        <div className="flex items-center gap-1">
+          {RATING_VALUES.map(rating => (
+              <label key={rating} className="cursor-pointer">
+                <input
+                    type="radio"
+                    name={name}
+                    value={rating}
+                    checked={current === rating}
+                    onChange={() => onChange(rating)}
+                    aria-label={t('commentForm.stars', { count: rating })}
+                    className="peer sr-only"
+                />
+                <span
+                    aria-hidden="true"
+                    className={`block px-0.5 rounded text-2xl leading-none peer-focus-visible:ring-2 peer-focus-visible:ring-blue-500
+                      ${rating === 0
+                        ? `text-sm px-1.5 py-1 border ${current === 0 ? 'bg-gray-200' : 'text-gray-500'}`
+                        : rating <= current ? 'text-yellow-500' : 'text-gray-300 hover:text-yellow-300'}`}
+                >
+                  {rating === 0 ? '0' : '★'}
+                </span>
+              </label>
+          ))}
+          <span className="ml-2 text-sm text-gray-600" aria-hidden="true">{current}/5</span>
+        </div>
+      </fieldset>
+  );
+}
+
+export default StarRating;
@@ -0,0 +1,116 @@
+import React, { useId, useState } from 'react';
+import { useI18n } from '../i18n/I18nProvider';
+import { sameValue } from '../utils/eventTags';
+import { normalizeText } from '../utils/search';
+
+const MAX_SUGGESTIONS = 8;
+
+/**
+ * Campo de tags: Enter ou vírgula adiciona o texto digitado (ou a sugestão escolhida com as setas),
+ * Backspace no campo vazio remove a última tag e Escape limpa o texto.
+ * As sugestões vêm das tags já usadas em outros eventos.
+ * Ao sair do campo, o texto pela metade vira tag; as sugestões usam mousedown para não perder o foco antes.
+ */
+function TagInput({ id, value, onChange, suggestions = [] }) {
+  const [text, setText] = useState('');
+  const [active, setActive] = useState(-1);
+  const listId = useId();
+  const { t } = useI18n();
+
+  const query = normalizeText(text.trim());
+  const matches = query
+      ? suggestions
+          .filter(suggestion => normalizeText(suggestion).includes(query) && !value.some(tag => sameValue(tag, suggestion)))
+          .slice(0, MAX_SUGGESTIONS)
+      : [];
+
+  const addTag = (tag) => {
+    const clean = tag.trim();
+    if (clean && !value.some(existing => sameValue(existing, clean))) {
+      onChange([...value, clean]);
+    }
+    setText('');
+    setActive(-1);
+  };
+
+  const removeTag = (tag) => onChange(value.filter(existing => existing !== tag));
+
+  const handleKeyDown = (e) => {
+    if ((e.key === 'Enter' || e.key === ',') && (text.trim() || e.key === ',')) {
+      e.preventDefault();
+      addTag(active >= 0 ? matches[active] : text);
+    } else if (e.key === 'ArrowDown' && matches.length > 0) {
+      e.preventDefault();
+      setActive((active + 1) % matches.length);
+    } else if (e.key === 'ArrowUp' && matches.length > 0) {
+      e.preventDefault();
+      setActive(active <= 0 ? matches.length - 1 : active - 1);
+    } else if (e.key === 'Escape' && text) {
+      // Limpa o texto sem fechar a janela do formulário
+      e.stopPropagation();
+      setText('');
+      setActive(-1);
+    } else if (e.key === 'Backspace' && !text && value.length > 0) {
+      removeTag(value[value.length - 1]);
+    }
+  };
+
+  return (
+      <div className="relative">
+        <div className="flex flex-wrap items-center gap-1 w-full p-1 border rounded">
+          {value.map(tag => (
+              <span key={tag} className="flex items-center text-sm px-2 py-0.5 rounded-full bg-gray-200">
+                {tag}
+                <button
+                    type="button"
+                    onClick={() => removeTag(tag)}
+                    aria-label={t('eventForm.removeTag', { tag })}
+                    className="ml-1 text-gray-500 hover:text-gray-800"
+                >
+                  ×
+                </button>
+              </span>
+          ))}
+          <input
+              id={id}
+              type="text"
+              role="combobox"
+              aria-expanded={matches.length > 0}
+              aria-controls={listId}
+              aria-autocomplete="list"
+              aria-activedescendant={active >= 0 ? `${listId}-${active}` : undefined}
+              value={text}
+              onChange={(e) => {
+                setText(e.target.value);
+                setActive(-1);
+              }}
+              onKeyDown={handleKeyDown}
+              onBlur={() => text.trim() && addTag(text)}
+              placeholder={value.length === 0 ? t('eventForm.tagsPlaceholder') : ''}
+              className="flex-1 min-w-24 p-1 outline-none"
+          />
+        </div>
+        {matches.length > 0 && (
+            <ul id={listId} role="listbox" className="absolute left-0 right-0 mt-1 z-10 bg-white border rounded shadow-lg">
+              {matches.map((suggestion, index) => (
+                  <li
+                      key={suggestion}
+                      id={`${listId}-${index}`}
+                      role="option"
+                      aria-selected={index === active}
+                      onMouseDown={(e) => {
+                        e.preventDefault();
+                        addTag(suggestion);
+                      }}
+                      className={`px-3 py-1 cursor-pointer ${index === active ? 'bg-blue-100' : 'hover:bg-gray-100'}`}
+                  >
+                    {suggestion}
+                  </li>
+              ))}
+            </ul>
+        )}
+      </div>
+  );
+}
+
+export default TagInput;
@@ -0,0 +1,76 @@
+import React, { createContext, useCallback, useContext, useMemo, useRef, useState } from 'react';
+import { useI18n } from '../i18n/I18nProvider';
+
+const ToastContext = createContext(null);
+
+const TOAST_DURATION = 5000;
+
+const toastStyles = {
+  success: 'bg-green-600',
+  error: 'bg-red-600',
+  info: 'bg-gray-800'
+};
+
+/**
+ * Notificações passageiras (sucesso/erro) exibidas no canto da tela. O leitor de tela anuncia
+ * cada uma ao aparecer; os erros interrompem o que estiver sendo lido.
+ */
+export function ToastProvider({ children }) {
+  const [toasts, setToasts] = useState([]);
+  const nextId = useRef(0);
+  const { t } = useI18n();
+
+  const dismiss = useCallback((id) => {
+    setToasts(current => current.filter(toast => toast.id !== id));
+  }, []);
+
+  const show = useCallback((type, message, { duration = TOAST_DURATION } = {}) => {
+    const id = nextId.current++;
+    setToasts(current => [...current, { id, type, message }]);
+    if (duration) {
+      setTimeout(() => dismiss(id), duration);
+    }
+    return id;
+  }, [dismiss]);
+
+  const notify = useMemo(() => ({
+    success: (message, options) => show('success', message, options),
+    error: (message, options) => show('error', message, options),
+    info: (message, options) => show('info', message, options),
+    dismiss
+  }), [show, dismiss]);
+
+  return (
+      <ToastContext.Provider value={notify}>
+        {children}
+        <div aria-live="polite" className="fixed bottom-4 right-4 z-50 flex flex-col gap-2 max-w-sm">
+          {toasts.map(toast => (
+              <div
+                  key={toast.id}
+                  role={toast.type === 'error' ? 'alert' : 'status'}
+                  className={`flex justify-between items-start p-3 rounded shadow-lg text-white ${toastStyles[toast.type]}`}
+              >
+                <span>{toast.message}</span>
+                <button
+                    onClick={() => dismiss(toast.id)}
+                    aria-label={t('common.close')}
+                    className="ml-4 font-bold opacity-80 hover:opacity-100"
+                >
+                  ×
+                </button>
+              </div>
+          ))}
+        </div>
+      </ToastContext.Provider>
+  );
+}
+
+export const useToast = () => {
+  const notify = useContext(ToastContext);
+  if (!notify) {
+    throw new Error('useToast must be used inside a ToastProvider');
+  }
+  return notify;
+};
+
+export default ToastProvider;
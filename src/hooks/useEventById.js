@@ -0,0 +1,36 @@
+import { useEffect, useState } from 'react';
+import { getEvent } from '../api/eventos';
+import { isAbortError, NotFoundError } from '../api/errors';
+
+/**
+ * Procura o evento da rota entre os já carregados; eventos fora das páginas
+ * carregadas são buscados individualmente e entregues a onEventLoaded.
+ */
+function useEventById(id, events, loading, onEventLoaded) {
+  const event = events.find(item => String(item.id) === String(id));
+  const [notFound, setNotFound] = useState(false);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    if (event || loading) return;
+
+    const controller = new AbortController();
+    setNotFound(false);
+    setError(null);
+    getEvent(id, { signal: controller.signal })
+        .then(onEventLoaded)
+        .catch(err => {
+          if (isAbortError(err)) return;
+          if (err instanceof NotFoundError) {
+            setNotFound(true);
+          } else {
+            setError(err);
+          }
+        });
+    return () => controller.abort();
+  }, [id, event, loading, onEventLoaded]);
+
+  return { event, notFound, error };
+}
+
+export default useEventById;
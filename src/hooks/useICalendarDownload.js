@@ -0,0 +1,19 @@
+import { useI18n } from '../i18n/I18nProvider';
+import { downloadICalendar } from '../utils/ical';
+import { getAverageRating, getCommentCount } from '../utils/ratings';
+
+// downloadICalendar com o nome padrão e o resumo de cada evento (duração, média, comentários) no idioma atual
+function useICalendarDownload() {
+  const { t, formatDuration, formatRating } = useI18n();
+
+  return (events, filename) => downloadICalendar(events, filename, {
+    unnamedEvent: t('common.unnamedEvent'),
+    summarizeEvent: (event) => [
+      t('ics.export.duration', { duration: formatDuration(event.duracao_qtd, event.duracao_tipo) }),
+      t('ics.export.rating', { rating: formatRating(getAverageRating(event)) }),
+      t('ics.export.comments', { count: getCommentCount(event) })
+    ]
+  });
+}
+
+export default useICalendarDownload;
@@ -0,0 +1,116 @@
+import { useEffect, useRef, useState } from 'react';
+import { getBaseUrl } from '../api/client';
+import { isAbortError } from '../api/errors';
+import { listEventsPage } from '../api/eventos';
+import { diffSnapshots } from '../utils/liveUpdates';
+import useOnlineStatus from './useOnlineStatus';
+
+const STREAM_PATH = 'eventos/stream';
+const POLL_INTERVAL = 30000;
+const POLL_LIMIT = 50;
+const RECONNECT_BASE_DELAY = 1000;
+const RECONNECT_MAX_DELAY = 30000;
+
+/**
+ * Assina as mudanças de eventos e comentários feitas por outras pessoas.
+ * Usa Server-Sent Events em GET eventos/stream; se o stream não existir (nunca abre)
+ * cai para polling de GET eventos, comparando as leituras. Quedas reconectam com backoff.
+ * Devolve o estado da conexão: 'connecting' | 'live' | 'polling' | 'reconnecting' | 'offline'.
+ */
+function useLiveUpdates(onMessage) {
+  const online = useOnlineStatus();
+  const [status, setStatus] = useState('connecting');
+
+  // Always deliver to the latest handler without reconnecting on every render
+  const onMessageRef = useRef(onMessage);
+  onMessageRef.current = onMessage;
+
+  useEffect(() => {
+    if (!online) {
+      setStatus('offline');
+      return undefined;
+    }
+
+    let disposed = false;
+    let source = null;
+    let timer = null;
+    let pollController = null;
+    let snapshot = null;
+    let failures = 0;
+    let streamOpened = false;
+
+    const emit = (message) => {
+      if (!disposed) onMessageRef.current(message);
+    };
+    const schedule = (callback, delay) => {
+      clearTimeout(timer);
+      timer = setTimeout(callback, delay);
+    };
+    const backoffDelay = () => Math.min(RECONNECT_MAX_DELAY, RECONNECT_BASE_DELAY * 2 ** failures);
+
+    const poll = async () => {
+      pollController = new AbortController();
+      try {
+        const page = await listEventsPage({ page: 1, limit: POLL_LIMIT }, { signal: pollController.signal });
+        // The first read is only the baseline; later reads are compared against the previous one
+        if (snapshot) {
+          diffSnapshots(snapshot, page.items, !page.paginated).forEach(emit);
+        }
+        snapshot = page.items;
+        failures = 0;
+        setStatus('polling');
+        schedule(poll, POLL_INTERVAL);
+      } catch (err) {
+        if (isAbortError(err) || disposed) return;
+        failures++;
+        setStatus('reconnecting');
+        schedule(poll, Math.max(POLL_INTERVAL, backoffDelay()));
+      }
+    };
+
+    const connect = () => {
+      if (typeof window.EventSource === 'undefined') {
+        poll();
+        return;
+      }
+
+      source = new window.EventSource(getBaseUrl() + STREAM_PATH);
+      source.onopen = () => {
+        streamOpened = true;
+        failures = 0;
+        setStatus('live');
+      };
+      source.onmessage = (e) => {
+        try {
+          emit(JSON.parse(e.data));
+        } catch {
+          // Keep-alives and malformed messages are ignored
+        }
+      };
+      source.onerror = () => {
+        source.close();
+        source = null;
+        if (!streamOpened) {
+          poll();
+          return;
+        }
+        failures++;
+        setStatus('reconnecting');
+        schedule(connect, backoffDelay());
+      };
+    };
+
+    connect();
+
+    return () => {
+      disposed = true;
+      clearTimeout(timer);
+      if (source) source.close();
+      if (pollController) pollController.abort();
+    };
+  }, [online]);
+
+  return status;
+}
+
+export default useLiveUpdates;
@@ -0,0 +1,42 @@
+import { useCallback, useEffect, useState } from 'react';
+
+const STORAGE_KEY = 'reacoes';
+
+const readStoredReactions = () => {
+  try {
+    return JSON.parse(window.localStorage.getItem(STORAGE_KEY)) || {};
+  } catch {
+    return {};
+  }
+};
+
+/**
+ * Reações dadas neste navegador ({ [commentId]: ['curtir', ...] }), para o botão saber se adiciona ou remove.
+ * O servidor só conta as reações, então a lembrança de quem reagiu fica aqui.
+ */
+function useMyReactions() {
+  const [reactions, setReactions] = useState(readStoredReactions);
+
+  useEffect(() => {
+    try {
+      window.localStorage.setItem(STORAGE_KEY, JSON.stringify(reactions));
+    } catch {
+      // Storage blocked: reactions are only remembered during this visit
+    }
+  }, [reactions]);
+
+  const hasReacted = useCallback((commentId, type) =>
+      (reactions[commentId] || []).includes(type), [reactions]);
+
+  const setReacted = useCallback((commentId, type, reacted) => {
+    setReactions(({ [commentId]: types = [], ...rest }) => {
+      const next = types.filter(item => item !== type);
+      if (reacted) next.push(type);
+      return next.length > 0 ? { ...rest, [commentId]: next } : rest;
+    });
+  }, []);
+
+  return { hasReacted, setReacted };
+}
+
+export default useMyReactions;
@@ -0,0 +1,147 @@
+import { useCallback, useEffect, useRef, useState } from 'react';
+import { createEvent } from '../api/eventos';
+import { createComment } from '../api/comentarios';
+import { isUnsentError, NotFoundError, TimeoutError } from '../api/errors';
+import { addToOutbox, listOutbox, removeFromOutbox, updateOutboxEntry } from '../offline/db';
+import useOnlineStatus from './useOnlineStatus';
+
+// Ids provisórios de eventos/comentários criados offline, até o servidor devolver os definitivos
+export const makeTempId = () => `tmp-${Date.now()}-${Math.random().toString(36).slice(2, 8)}`;
+
+export const isTempId = (id) => typeof id === 'string' && id.startsWith('tmp-');
+
+// Com o navegador online, entradas ainda pendentes (servidor fora do ar) são reenviadas neste intervalo
+const REPLAY_INTERVAL = 30000;
+
+const send = (entry) => entry.type === 'evento'
+    ? createEvent(entry.payload)
+    : createComment(entry.payload);
+
+/**
+ * Fila de criações feitas sem conexão (POST eventos/comentarios), guardada no IndexedDB
+ * e reenviada em ordem quando a conexão volta, ou a cada REPLAY_INTERVAL enquanto restarem pendentes
+ * com o navegador online (quando quem falhou foi o servidor, não a conexão).
+ * Entradas: { id, type: 'evento' | 'comentario', tempId, payload, status: 'pendente' | 'falhou', error, errorKey, conflict }
+ * (error é o texto do servidor; sem ele, errorKey é uma chave do catálogo de traduções)
+ */
+function useOutbox({ onSynced, onReplayed }) {
+  const [entries, setEntries] = useState([]);
+  const online = useOnlineStatus();
+  const replayingRef = useRef(false);
+
+  // Callbacks change on every App render; the replay loop always reads the latest ones
+  const callbacksRef = useRef({ onSynced, onReplayed });
+  callbacksRef.current = { onSynced, onReplayed };
+
+  const refresh = useCallback(() => listOutbox().then(setEntries).catch(() => setEntries([])), []);
+
+  const enqueue = useCallback(async (entry) => {
+    await addToOutbox({ ...entry, status: 'pendente', error: null, createdAt: Date.now() });
+    await refresh();
+  }, [refresh]);
+
+  const replay = useCallback(async () => {
+    if (replayingRef.current) return;
+    replayingRef.current = true;
+    const summary = { synced: 0, failed: [] };
+
+    try {
+      const queued = (await listOutbox()).filter(entry => entry.status === 'pendente');
+
+      for (let index = 0; index < queued.length; index++) {
+        const entry = queued[index];
+
+        // A comment whose event was never created cannot be sent
+        if (entry.type === 'comentario' && isTempId(entry.payload.id_evento)) {
+          const failed = { ...entry, status: 'falhou', error: null, errorKey: 'outbox.eventNotCreated', conflict: true };
+          await updateOutboxEntry(failed);
+          summary.failed.push(failed);
+          continue;
+        }
+
+        try {
+          const created = await send(entry);
+          await removeFromOutbox(entry.id);
+
+          // Comments pointing at this event's temporary id now get the real one, including those
+          // that already failed because the event was missing: they go back to the queue
+          if (entry.type === 'evento') {
+            const dependents = (await listOutbox())
+                .filter(other => other.type === 'comentario' && other.payload.id_evento === entry.tempId);
+            for (const dependent of dependents) {
+              const remapped = {
+                ...dependent,
+                payload: { ...dependent.payload, id_evento: created.id },
+                ...(dependent.errorKey === 'outbox.eventNotCreated'
+                    ? { status: 'pendente', error: null, errorKey: null, conflict: false }
+                    : {})
+              };
+              await updateOutboxEntry(remapped);
+              const later = queued.find(item => item.id === dependent.id);
+              if (later) {
+                later.payload = remapped.payload;
+              } else if (remapped.status === 'pendente') {
+                queued.push(remapped);
+              }
+            }
+          }
+
+          summary.synced++;
+          callbacksRef.current.onSynced(entry, created);
+        } catch (err) {
+          // Still offline: stop here and keep the order for the next attempt
+          if (isUnsentError(err)) break;
+
+          // After a timeout the item may exist already; resending is left to the person
+          const failed = {
+            ...entry,
+            status: 'falhou',
+            error: err.serverMessage || null,
+            errorKey: err instanceof TimeoutError ? 'outbox.uncertain' : err.serverMessage ? null : 'errors.server',
+            conflict: err.status === 409 || err instanceof NotFoundError
+          };
+          await updateOutboxEntry(failed);
+          summary.failed.push(failed);
+        }
+      }
+    } catch {
+      // IndexedDB unavailable: nothing was queued
+    } finally {
+      replayingRef.current = false;
+      await refresh();
+    }
+
+    if (summary.synced > 0 || summary.failed.length > 0) {
+      callbacksRef.current.onReplayed(summary);
+    }
+  }, [refresh]);
+
+  // On start and whenever the connection comes back
+  useEffect(() => {
+    refresh();
+    if (online) replay();
+  }, [online, refresh, replay]);
+
+  // navigator.onLine does not change when only the server is down, so pending entries are retried on a timer
+  const hasPending = entries.some(entry => entry.status === 'pendente');
+  useEffect(() => {
+    if (!online || !hasPending) return;
+    const timer = setInterval(replay, REPLAY_INTERVAL);
+    return () => clearInterval(timer);
+  }, [online, hasPending, replay]);
+
+  const retryEntry = useCallback(async (entry) => {
+    await updateOutboxEntry({ ...entry, status: 'pendente', error: null, errorKey: null, conflict: false });
+    await refresh();
+    if (navigator.onLine) replay();
+  }, [refresh, replay]);
+
+  const discardEntry = useCallback(async (entry) => {
+    await removeFromOutbox(entry.id);
+    await refresh();
+  }, [refresh]);
+
+  return { entries, online, enqueue, replay, retryEntry, discardEntry };
+}
+
+export default useOutbox;
@@ -0,0 +1,162 @@
+import { useCallback, useEffect, useRef, useState } from 'react';
+import { listEventsPage } from '../api/eventos';
+import { isAbortError, isOfflineError } from '../api/errors';
+import { useToast } from '../components/ToastProvider';
+import { useI18n } from '../i18n/I18nProvider';
+import { readCache, writeCache } from '../offline/db';
+import { serializeFilters } from '../utils/filters';
+import useOnlineStatus from './useOnlineStatus';
+
+const PAGE_SIZE = 50;
+const SEARCH_DEBOUNCE = 300;
+const CACHE_KEY = 'eventos';
+const CACHE_DEBOUNCE = 1000;
+
+/**
+ * Carrega os eventos página a página, repassando os filtros ao servidor.
+ * Se o servidor não paginar, tudo vem na primeira chamada e os filtros
+ * são aplicados só no cliente, sem novas requisições.
+ * Os eventos carregados ficam no IndexedDB; sem conexão a lista vem de lá
+ * e staleSince indica de quando são os dados.
+ * Depois de uma falha ao buscar a próxima página, loadMoreFailed fica true e a rolagem
+ * deixa de pedir páginas até a pessoa clicar em "carregar mais".
+ */
+function usePaginatedEvents(filters) {
+  const [events, setEvents] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [refreshing, setRefreshing] = useState(false);
+  const [loadingMore, setLoadingMore] = useState(false);
+  const [error, setError] = useState(null);
+  const [hasMore, setHasMore] = useState(false);
+  const [loadMoreFailed, setLoadMoreFailed] = useState(false);
+  const [reloadKey, setReloadKey] = useState(0);
+  const [staleSince, setStaleSince] = useState(null);
+  const notify = useToast();
+  const online = useOnlineStatus();
+
+  // Read through a ref so switching languages does not refetch the first page
+  const i18n = useI18n();
+  const i18nRef = useRef(i18n);
+  i18nRef.current = i18n;
+
+  const pageRef = useRef(1);
+  const loadedRef = useRef(false);
+  const serverPagingRef = useRef(null);
+  const loadMoreControllerRef = useRef(null);
+
+  const query = serializeFilters(filters);
+
+  // First page: on mount, on retry and whenever the server-side filters change
+  useEffect(() => {
+    if (loadedRef.current && serverPagingRef.current === false) return;
+
+    const controller = new AbortController();
+    const timer = setTimeout(async () => {
+      if (loadMoreControllerRef.current) loadMoreControllerRef.current.abort();
+      setRefreshing(true);
+      try {
+        const page = await listEventsPage(
+            { ...Object.fromEntries(new URLSearchParams(query)), page: 1, limit: PAGE_SIZE },
+            { signal: controller.signal }
+        );
+        serverPagingRef.current = page.paginated;
+        loadedRef.current = true;
+        pageRef.current = 1;
+        setEvents(page.items);
+        setHasMore(page.hasMore);
+        setLoadMoreFailed(false);
+        setStaleSince(null);
+        setLoading(false);
+        setRefreshing(false);
+      } catch (err) {
+        if (isAbortError(err)) return;
+        const cached = !loadedRef.current && isOfflineError(err)
+            ? await readCache(CACHE_KEY).catch(() => null)
+            : null;
+        if (controller.signal.aborted) return;
+
+        if (cached) {
+          setEvents(cached.events);
+          setHasMore(false);
+          setStaleSince(cached.savedAt);
+        } else if (loadedRef.current) {
+          notify.error(i18nRef.current.t('events.refreshFailed', { message: i18nRef.current.formatError(err) }));
+        } else {
+          setError(err);
+        }
+        setLoading(false);
+        setRefreshing(false);
+      }
+    }, loadedRef.current ? SEARCH_DEBOUNCE : 0);
+
+    return () => {
+      clearTimeout(timer);
+      controller.abort();
+    };
+  }, [query, reloadKey, notify]);
+
+  useEffect(() => () => {
+    if (loadMoreControllerRef.current) loadMoreControllerRef.current.abort();
+  }, []);
+
+  // Cached data is replaced as soon as the connection comes back
+  useEffect(() => {
+    if (online && staleSince !== null) {
+      setReloadKey(key => key + 1);
+    }
+  }, [online, staleSince]);
+
+  // Keep the last loaded list (including items still waiting in the outbox) for offline use
+  useEffect(() => {
+    if (loading) return;
+    const timer = setTimeout(() => {
+      writeCache(CACHE_KEY, { events, savedAt: staleSince ?? Date.now() }).catch(() => {});
+    }, CACHE_DEBOUNCE);
+    return () => clearTimeout(timer);
+  }, [events, loading, staleSince]);
+
+  const loadMore = useCallback(async () => {
+    if (!hasMore || loadingMore || refreshing) return;
+
+    const controller = new AbortController();
+    loadMoreControllerRef.current = controller;
+    setLoadingMore(true);
+    try {
+      const nextPage = pageRef.current + 1;
+      const page = await listEventsPage(
+          { ...Object.fromEntries(new URLSearchParams(query)), page: nextPage, limit: PAGE_SIZE },
+          { signal: controller.signal }
+      );
+      pageRef.current = nextPage;
+      // Events created meanwhile may shift pages, so skip ids already loaded
+      setEvents(current => {
+        const known = new Set(current.map(event => event.id));
+        return [...current, ...page.items.filter(event => !known.has(event.id))];
+      });
+      setHasMore(page.hasMore);
+      setLoadMoreFailed(false);
+    } catch (err) {
+      if (!isAbortError(err)) {
+        setLoadMoreFailed(true);
+        notify.error(i18nRef.current.t('events.loadMoreFailed', { message: i18nRef.current.formatError(err) }));
+      }
+    } finally {
+      if (loadMoreControllerRef.current === controller) {
+        loadMoreControllerRef.current = null;
+        setLoadingMore(false);
+      }
+    }
+  }, [hasMore, loadingMore, refreshing, query, notify]);
+
+  const retry = useCallback(() => {
+    setError(null);
+    setLoading(true);
+    setReloadKey(key => key + 1);
+  }, []);
+
+  return {
+    events, setEvents, loading, refreshing, loadingMore, loadMoreFailed, error, hasMore, loadMore, retry, staleSince
+  };
+}
+
+export default usePaginatedEvents;
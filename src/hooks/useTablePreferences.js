@@ -0,0 +1,63 @@
+import { useCallback, useEffect, useState } from 'react';
+import {
+  DEFAULT_HIDDEN_COLUMNS,
+  DEFAULT_SORT,
+  GROUP_OPTIONS,
+  nextSort,
+  OPTIONAL_COLUMNS,
+  SORT_KEYS
+} from '../utils/eventTable';
+
+const STORAGE_KEY = 'tabela';
+
+// Preferências salvas por outra versão do app (colunas que deixaram de existir) são descartadas
+const readStoredPreferences = () => {
+  try {
+    const stored = JSON.parse(window.localStorage.getItem(STORAGE_KEY)) || {};
+    const sort = Array.isArray(stored.sort)
+        ? stored.sort.filter(item => item && SORT_KEYS.includes(item.key) && ['asc', 'desc'].includes(item.direction))
+        : [];
+    const hiddenColumns = Array.isArray(stored.hiddenColumns)
+        ? stored.hiddenColumns.filter(key => OPTIONAL_COLUMNS.includes(key))
+        : DEFAULT_HIDDEN_COLUMNS;
+    const groupBy = GROUP_OPTIONS.includes(stored.groupBy) ? stored.groupBy : '';
+    return { sort: sort.length > 0 ? sort.slice(0, 2) : DEFAULT_SORT, hiddenColumns, groupBy };
+  } catch {
+    return { sort: DEFAULT_SORT, hiddenColumns: DEFAULT_HIDDEN_COLUMNS, groupBy: '' };
+  }
+};
+
+// Ordenação, colunas visíveis e agrupamento da tabela de eventos, lembrados pelo navegador
+function useTablePreferences() {
+  const [preferences, setPreferences] = useState(readStoredPreferences);
+
+  useEffect(() => {
+    try {
+      window.localStorage.setItem(STORAGE_KEY, JSON.stringify(preferences));
+    } catch {
+      // Storage blocked: the preferences only last for this visit
+    }
+  }, [preferences]);
+
+  const sortBy = useCallback((key) => {
+    setPreferences(current => ({ ...current, sort: nextSort(current.sort, key) }));
+  }, []);
+
+  const toggleColumn = useCallback((key) => {
+    setPreferences(current => ({
+      ...current,
+      hiddenColumns: current.hiddenColumns.includes(key)
+          ? current.hiddenColumns.filter(hidden => hidden !== key)
+          : [...current.hiddenColumns, key]
+    }));
+  }, []);
+
+  // '' shows the list without groups
+  const setGroupBy = useCallback((groupBy) => {
+    setPreferences(current => ({ ...current, groupBy }));
+  }, []);
+
+  return { ...preferences, sortBy, toggleColumn, setGroupBy };
+}
+
+export default useTablePreferences;
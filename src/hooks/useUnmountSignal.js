@@ -0,0 +1,16 @@
+import { useCallback, useEffect, useRef } from 'react';
+
+// Devolve uma função que entrega o signal de um AbortController abortado quando o componente desmonta
+function useUnmountSignal() {
+  const controllerRef = useRef(null);
+
+  useEffect(() => {
+    const controller = new AbortController();
+    controllerRef.current = controller;
+    return () => controller.abort();
+  }, []);
+
+  return useCallback(() => controllerRef.current && controllerRef.current.signal, []);
+}
+
+export default useUnmountSignal;
@@ -0,0 +1,45 @@
+import { useCallback, useEffect, useState } from 'react';
+import { useLocation, useNavigate } from 'react-router-dom';
+import { DEFAULT_FILTERS, parseFilters, serializeFilters } from '../utils/filters';
+
+// Páginas que exibem a lista filtrada (tabela, calendário e estatísticas)
+export const LIST_PATHS = ['/', '/calendario', '/estatisticas'];
+
+// Estado dos filtros espelhado na query string da lista, para a visão filtrada poder ser salva e compartilhada.
+// Fora da lista (detalhe, formulários) os filtros ficam guardados para a volta
+function useUrlFilters() {
+  const location = useLocation();
+  const navigate = useNavigate();
+  const onList = LIST_PATHS.includes(location.pathname);
+  const [filters, setFilters] = useState(() => parseFilters(onList ? location.search : ''));
+
+  // Back/forward or a link to the list restores the filters stored in its URL
+  useEffect(() => {
+    if (!onList) return;
+    const fromUrl = parseFilters(location.search);
+    setFilters(current => serializeFilters(current) === serializeFilters(fromUrl) ? current : fromUrl);
+  }, [onList, location.search]);
+
+  const applyFilters = useCallback((next) => {
+    setFilters(next);
+    const query = serializeFilters(next);
+    navigate({
+      pathname: onList ? location.pathname : '/',
+      search: query ? '?' + query : ''
+    }, { replace: true });
+  }, [navigate, onList, location.pathname]);
+
+  const updateFilter = useCallback((key, value) => {
+    applyFilters({ ...filters, [key]: value });
+  }, [applyFilters, filters]);
+
+  const resetFilters = useCallback(() => applyFilters(DEFAULT_FILTERS), [applyFilters]);
+
+  const query = serializeFilters(filters);
+  const search = query ? '?' + query : '';
+  const listUrl = '/' + search;
+
+  return [filters, updateFilter, resetFilters, listUrl, search];
+}
+
+export default useUrlFilters;
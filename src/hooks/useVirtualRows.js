@@ -0,0 +1,87 @@
+import { useCallback, useEffect, useRef, useState } from 'react';
+
+/**
+ * Janela de renderização para listas longas dentro de um container com scroll.
+ * As alturas reais são medidas à medida que as linhas aparecem (linhas expandidas
+ * podem ser bem maiores); as demais usam estimateSize.
+ */
+function useVirtualRows({ keys, estimateSize = 57, overscan = 8, onEndReached }) {
+  const [container, setContainer] = useState(null);
+  const [scrollTop, setScrollTop] = useState(0);
+  const [viewportHeight, setViewportHeight] = useState(0);
+  const [, setMeasureVersion] = useState(0);
+  const sizesRef = useRef(new Map());
+  const onEndReachedRef = useRef(onEndReached);
+  onEndReachedRef.current = onEndReached;
+
+  useEffect(() => {
+    if (!container) return;
+    const onScroll = () => setScrollTop(container.scrollTop);
+    const onResize = () => setViewportHeight(container.clientHeight);
+    onResize();
+    container.addEventListener('scroll', onScroll, { passive: true });
+    window.addEventListener('resize', onResize);
+    return () => {
+      container.removeEventListener('scroll', onScroll);
+      window.removeEventListener('resize', onResize);
+    };
+  }, [container]);
+
+  const measureRow = useCallback((key, node) => {
+    if (!node) return;
+    const height = node.getBoundingClientRect().height;
+    const known = sizesRef.current.get(key);
+    if (known === undefined || Math.abs(known - height) > 0.5) {
+      sizesRef.current.set(key, height);
+      setMeasureVersion(version => version + 1);
+    }
+  }, []);
+
+  // Offsets of every row; cheap enough to recompute for a few thousand rows
+  const offsets = new Array(keys.length);
+  let totalHeight = 0;
+  keys.forEach((key, index) => {
+    offsets[index] = totalHeight;
+    totalHeight += sizesRef.current.get(key) ?? estimateSize;
+  });
+
+  // Binary search for the first row crossing the top of the viewport
+  let low = 0;
+  let high = keys.length - 1;
+  let first = 0;
+  while (low <= high) {
+    const middle = (low + high) >> 1;
+    if (offsets[middle] <= scrollTop) {
+      first = middle;
+      low = middle + 1;
+    } else {
+      high = middle - 1;
+    }
+  }
+
+  let last = first;
+  while (last < keys.length && offsets[last] < scrollTop + viewportHeight) {
+    last++;
+  }
+
+  const start = Math.max(0, first - overscan);
+  const end = Math.min(keys.length, last + overscan);
+  const paddingTop = keys.length > 0 ? offsets[start] : 0;
+  const paddingBottom = end < keys.length ? totalHeight - offsets[end] : 0;
+
+  // Only when the window or the list actually grows: a new onEndReached identity alone does not count
+  useEffect(() => {
+    if (onEndReachedRef.current && keys.length > 0 && end >= keys.length) {
+      onEndReachedRef.current();
+    }
+  }, [end, keys.length]);
+
+  // Brings a row that may not be rendered yet to the top of the viewport
+  const scrollToIndex = (index) => {
+    if (container && index >= 0 && index < keys.length) container.scrollTop = offsets[index];
+  };
+
+  return { containerRef: setContainer, start, end, paddingTop, paddingBottom, measureRow, scrollToIndex };
+}
+
+export default useVirtualRows;
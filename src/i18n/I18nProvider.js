@@ -0,0 +1,121 @@
+import React, { createContext, useCallback, useContext, useEffect, useMemo, useState } from 'react';
+import { format as formatDateFns, isValid, parseISO } from 'date-fns';
+import { enUS, ptBR } from 'date-fns/locale';
+import { ApiError, NetworkError, TimeoutError } from '../api/errors';
+import en from './locales/en';
+import ptBRMessages from './locales/pt-BR';
+
+const I18nContext = createContext(null);
+
+const STORAGE_KEY = 'idioma';
+const DEFAULT_LOCALE = 'pt-BR';
+
+// Idiomas disponíveis: catálogo de mensagens e locale do date-fns
+export const LOCALES = {
+  'pt-BR': { label: 'Português (Brasil)', messages: ptBRMessages, dateLocale: ptBR },
+  en: { label: 'English', messages: en, dateLocale: enUS }
+};
+
+const readStoredLocale = () => {
+  try {
+    const stored = window.localStorage.getItem(STORAGE_KEY);
+    return LOCALES[stored] ? stored : DEFAULT_LOCALE;
+  } catch {
+    return DEFAULT_LOCALE;
+  }
+};
+
+// 'a.b.c' -> messages.a.b.c
+const lookup = (messages, key) => key.split('.').reduce((node, part) => (node == null ? node : node[part]), messages);
+
+// Plural entries are { zero?, one, other }; zero is optional and only used for count 0
+const pickPlural = (entry, count, pluralRules) => {
+  if (count === 0 && entry.zero !== undefined) return entry.zero;
+  return entry[pluralRules.select(count)] ?? entry.other;
+};
+
+// Traduções, formatação de datas/números e a escolha de idioma (guardada no navegador)
+export function I18nProvider({ children }) {
+  const [locale, setLocaleState] = useState(readStoredLocale);
+
+  const setLocale = useCallback((next) => {
+    if (!LOCALES[next]) return;
+    setLocaleState(next);
+    try {
+      window.localStorage.setItem(STORAGE_KEY, next);
+    } catch {
+      // Storage blocked: the choice only lasts for this visit
+    }
+  }, []);
+
+  useEffect(() => {
+    document.documentElement.lang = locale;
+  }, [locale]);
+
+  const value = useMemo(() => {
+    const { messages, dateLocale } = LOCALES[locale];
+    const pluralRules = new Intl.PluralRules(locale);
+
+    const formatNumber = (number, options) => new Intl.NumberFormat(locale, options).format(number);
+
+    // t('events.deleted'), t('ics.summary', { count: 3 }); missing keys fall back to pt-BR, then to the key
+    const t = (key, params = {}) => {
+      let message = lookup(messages, key) ?? lookup(ptBRMessages, key);
+      if (message && typeof message === 'object' && typeof params.count === 'number') {
+        message = pickPlural(message, params.count, pluralRules);
+      }
+      if (typeof message !== 'string') return key;
+      return message.replace(/\{(\w+)\}/g, (match, name) => {
+        if (params[name] === undefined) return match;
+        return typeof params[name] === 'number' ? formatNumber(params[name]) : String(params[name]);
+      });
+    };
+
+    // Accepts Date objects and ISO strings; the default pattern is the locale's short date
+    const formatDate = (date, pattern = 'P') => {
+      const parsed = typeof date === 'string' ? parseISO(date) : date;
+      return parsed && isValid(parsed) ? formatDateFns(parsed, pattern, { locale: dateLocale }) : t('common.noDate');
+    };
+
+    // "1 dia" / "3 dias"; unknown duracao_tipo values are shown as they come from the API
+    const formatDuration = (amount, type) => {
+      const count = Number(amount);
+      if (!amount && !type) return t('duration.unknown');
+      if (!lookup(messages, `duration.amount.${type}`) || Number.isNaN(count)) return `${amount ?? ''} ${type ?? ''}`.trim();
+      return t(`duration.amount.${type}`, { count });
+    };
+
+    // Média já calculada (getAverageRating) -> "4,5/5", ou N/A sem comentários
+    const formatRating = (average) => average === null
+        ? t('common.notAvailable')
+        : t('common.rating', {
+          value: formatNumber(average, { minimumFractionDigits: 1, maximumFractionDigits: 1 })
+        });
+
+    // Falha de uma chamada -> texto para o usuário; o que o servidor escreveu é mostrado como veio
+    const formatError = (err) => {
+      if (err instanceof NetworkError) return t('errors.network');
+      if (err instanceof TimeoutError) return t('errors.timeout');
+      if (err instanceof ApiError) return err.serverMessage || t('errors.status', { status: err.status });
+      return err ? err.message : '';
+    };
+
+    return { locale, setLocale, dateLocale, t, formatDate, formatNumber, formatDuration, formatRating, formatError };
+  }, [locale, setLocale]);
+
+  return (
+      <I18nContext.Provider value={value}>
+        {children}
+      </I18nContext.Provider>
+  );
+}
+
+export const useI18n = () => {
+  const i18n = useContext(I18nContext);
+  if (!i18n) {
+    throw new Error('useI18n must be used inside an I18nProvider');
+  }
+  return i18n;
+};
+
+export default I18nProvider;
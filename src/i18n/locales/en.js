@@ -0,0 +1,381 @@
+// English catalog; same keys as pt-BR.js
+const en = {
+  common: {
+    loading: 'Loading...',
+    error: 'Error: {message}',
+    retry: 'Try again',
+    cancel: 'Cancel',
+    close: 'Close',
+    save: 'Save',
+    edit: 'Edit',
+    delete: 'Delete',
+    pending: 'pending',
+    unnamedEvent: 'Unnamed Event',
+    noDate: 'No date',
+    notAvailable: 'N/A',
+    rating: '{value}/5',
+    anonymous: 'Anonymous',
+    backToEvents: 'Back to events',
+    language: 'Language'
+  },
+
+  errors: {
+    network: 'the server could not be reached',
+    timeout: 'the server took too long to answer',
+    status: 'the server answered with error {status}',
+    server: 'the server refused it'
+  },
+
+  duration: {
+    unknown: 'No duration info',
+    types: {
+      horas: 'Hours',
+      dias: 'Days',
+      semanas: 'Weeks',
+      meses: 'Months',
+      anos: 'Years'
+    },
+    amount: {
+      horas: { one: '{count} hour', other: '{count} hours' },
+      dias: { one: '{count} day', other: '{count} days' },
+      semanas: { one: '{count} week', other: '{count} weeks' },
+      meses: { one: '{count} month', other: '{count} months' },
+      anos: { one: '{count} year', other: '{count} years' }
+    }
+  },
+
+  status: {
+    upcoming: 'Upcoming',
+    ongoing: 'Ongoing',
+    past: 'Past'
+  },
+
+  app: {
+    title: 'Events and comments',
+    moderation: 'Moderation ({count})',
+    addEvent: 'Add Event',
+    tableTab: 'Table',
+    calendarTab: 'Calendar',
+    dashboardTab: 'Analytics',
+    offline: 'You are offline.',
+    reconnecting: 'Back online, refreshing.',
+    staleSince: 'Showing the events saved on {date}.'
+  },
+
+  live: {
+    connecting: { label: 'Connecting...', description: 'Connecting to live updates.' },
+    live: { label: 'Live', description: 'New events and comments show up automatically.' },
+    polling: { label: 'Periodic refresh', description: 'No live connection: the list is checked every 30 seconds.' },
+    reconnecting: { label: 'Reconnecting...', description: 'The connection dropped; trying again.' },
+    offline: { label: 'Offline', description: 'No connection: updates resume when the connection returns.' }
+  },
+
+  auth: {
+    title: 'Log in',
+    username: 'Username',
+    password: 'Password',
+    submit: 'Log in',
+    submitting: 'Logging in...',
+    login: 'Log in',
+    logout: 'Log out',
+    greeting: 'Hi, {name}',
+    loggedIn: 'Welcome, {name}.',
+    loggedOut: 'You have logged out.',
+    invalidCredentials: 'Invalid username or password.',
+    expired: 'Your session has expired. Please log in again.',
+    notOwner: 'Only the creator of this event can edit it.'
+  },
+
+  events: {
+    created: 'Event created.',
+    createFailed: 'Could not create the event: {message}',
+    createUncertain: 'The server took too long to answer and the event may have been created. Check the list before trying again.',
+    updated: 'Event updated.',
+    updateFailed: 'Could not update "{name}": {message}',
+    confirmDelete: 'Delete the event "{name}"?',
+    confirmDeleteSeries: 'Delete every occurrence of "{name}"?',
+    confirmDeleteOccurrence: 'Delete only the {date} occurrence of "{name}"?',
+    deleted: 'Event deleted.',
+    occurrenceDeleted: 'Occurrence on {date} deleted.',
+    deleteFailed: 'Could not delete "{name}": {message}',
+    refreshFailed: 'Could not refresh the events: {message}',
+    loadMoreFailed: 'Could not load more events: {message}',
+    imported: { one: '{count} event imported.', other: '{count} events imported.' },
+    importFailed: {
+      one: '{count} event could not be imported.',
+      other: '{count} events could not be imported.'
+    }
+  },
+
+  comments: {
+    title: 'Comments',
+    empty: 'No comments for this event.',
+    by: 'Comment by {name}',
+    noText: 'No comment text',
+    add: 'Add comment',
+    reply: 'Reply',
+    aboutOccurrence: 'About the {date} occurrence',
+    aboutSeries: 'About the whole series',
+    showReplies: { one: 'Show {count} reply', other: 'Show {count} replies' },
+    hideReplies: 'Hide replies',
+    reactions: {
+      curtir: 'Like',
+      util: 'Helpful'
+    },
+    reactFailed: 'Could not save the reaction: {message}',
+    report: 'Report',
+    reported: 'Reported',
+    published: 'Comment posted.',
+    publishFailed: 'Could not post the comment: {message}',
+    publishUncertain: 'The server took too long to answer and the comment may have been posted. Check before trying again.',
+    updated: 'Comment updated.',
+    updateFailed: 'Could not update the comment',
+    confirmDelete: 'Delete this comment?',
+    deleted: 'Comment deleted.',
+    deleteFailed: 'Could not delete the comment: {message}',
+    confirmReport: 'Report this comment to the moderators?',
+    reportFailed: 'Could not report the comment',
+    hideFailed: 'Could not hide the comment',
+    dismissFailed: 'Could not dismiss the report'
+  },
+
+  moderation: {
+    title: 'Reported comments',
+    event: 'Event: {name}',
+    hide: 'Hide',
+    remove: 'Remove',
+    keep: 'Keep',
+    empty: 'No reported comments.'
+  },
+
+  outbox: {
+    title: 'Pending submissions',
+    sending: { one: '{count} item waiting to be sent...', other: '{count} items waiting to be sent...' },
+    waitingConnection: {
+      one: '{count} item waiting for the connection to return.',
+      other: '{count} items waiting for the connection to return.'
+    },
+    eventLabel: 'Event "{name}"',
+    commentLabel: 'Comment "{text}"',
+    failed: 'failed: {message}',
+    conflict: 'conflict: {message}',
+    sendNow: 'Send now',
+    retry: 'Retry',
+    discard: 'Discard',
+    eventNotCreated: 'The event of this comment was not created.',
+    uncertain: 'the server took too long to answer and may have created it already. Check before trying again.',
+    queued: 'No connection: it will be sent when the connection returns.',
+    storeFailed: 'Could not save it to send later: {message}',
+    synced: { one: '{count} pending item sent.', other: '{count} pending items sent.' },
+    sendFailed: 'Could not send a pending item: {message}'
+  },
+
+  filters: {
+    search: 'Search',
+    searchPlaceholder: 'Search names and comments...',
+    relevance: 'Most relevant first',
+    from: 'From:',
+    to: 'To:',
+    minRating: 'Minimum rating',
+    any: 'Any',
+    duration: 'Duration',
+    category: 'Category',
+    tag: 'Tag',
+    location: 'Location',
+    locationPlaceholder: 'Part of the address...',
+    status: 'Status',
+    allStatuses: 'All',
+    statuses: {
+      upcoming: 'Upcoming',
+      ongoing: 'Ongoing',
+      past: 'Past'
+    },
+    withComments: 'With comments',
+    clear: 'Clear filters'
+  },
+
+  list: {
+    includeComments: 'Include comments',
+    exportCsv: 'Export CSV',
+    exportJson: 'Export JSON',
+    exportIcs: 'Export .ics',
+    importIcs: 'Import .ics',
+    icsTitle: 'Export to calendar (.ics)',
+    name: 'Name',
+    category: 'Category',
+    tags: 'Tags',
+    location: 'Location',
+    filterByTag: 'Show only events tagged {tag}',
+    recurring: 'Recurring event',
+    editOccurrence: 'Edit this one',
+    editSeries: 'Edit series',
+    deleteOccurrence: 'Delete this one',
+    deleteSeries: 'Delete series',
+    date: 'Date',
+    endDate: 'End',
+    commentCount: 'Comments',
+    columns: 'Columns',
+    sortBy: 'Sort by {column}',
+    groupBy: 'Group by',
+    noGrouping: 'No grouping',
+    groupOptions: {
+      categoria: 'Category',
+      tag: 'Tag',
+      local: 'Location'
+    },
+    withoutGroup: {
+      categoria: 'No category',
+      tag: 'No tags',
+      local: 'No location'
+    },
+    duration: 'Duration',
+    rating: 'Rating',
+    actions: 'Actions',
+    showComments: 'Show comments',
+    hideComments: 'Hide comments',
+    empty: 'No events match the selected filters.',
+    resultCount: { zero: 'No events found', one: '{count} event found', other: '{count} events found' },
+    keyboardHint: 'Events. Use the up and down arrows, Home and End to move between events and Enter to show the comments.',
+    loadMore: 'Load more events',
+    newComments: { one: '{count} new comment', other: '{count} new comments' },
+    commentMatches: { one: 'Found in {count} comment', other: 'Found in {count} comments' },
+    noEventsInFile: 'No events found in the file.',
+    readFileFailed: 'Could not read {filename}: {message}'
+  },
+
+  eventForm: {
+    newTitle: 'Add New Event',
+    editTitle: 'Edit Event',
+    name: 'Event Name',
+    date: 'Date',
+    durationAmount: 'Duration (amount)',
+    durationType: 'Unit',
+    category: 'Category',
+    tags: 'Tags',
+    tagsPlaceholder: 'Type and press Enter',
+    removeTag: 'Remove tag {tag}',
+    location: 'Location',
+    description: 'Description',
+    occurrenceOnly: 'Changes apply only to the {date} occurrence.',
+    submit: 'Save Event'
+  },
+
+  commentForm: {
+    newTitle: 'Add Comment',
+    editTitle: 'Edit Comment',
+    replyTitle: 'Reply to {name}',
+    postingAs: 'Posting as {name}',
+    anonymous: 'Comment anonymously',
+    anonymousOnly: 'Without logging in, the comment is posted anonymously.',
+    comment: 'Comment',
+    commentPlaceholder: 'Write your comment...',
+    rating: 'Rating (0-5)',
+    stars: { zero: 'No stars', one: '{count} star', other: '{count} stars' },
+    occurrenceOnly: 'Only about the {date} occurrence',
+    publish: 'Post'
+  },
+
+  detail: {
+    notFound: 'Event not found.',
+    occurrenceNotFound: 'This series has no occurrence on that date.',
+    viewSeries: 'View the series',
+    upcoming: 'Next occurrences',
+    seriesEnded: 'The series has ended.',
+    start: 'Start',
+    end: 'End',
+    duration: 'Duration',
+    category: 'Category',
+    location: 'Location',
+    description: 'Description',
+    rating: 'Rating',
+    commentCount: { zero: '(no comments)', one: '({count} comment)', other: '({count} comments)' }
+  },
+
+  dashboard: {
+    basedOn: { one: 'Computed from {count} loaded event.', other: 'Computed from {count} loaded events.' },
+    topRated: 'Top rated',
+    lowestRated: 'Lowest rated',
+    noRatings: 'No rated events.',
+    commentVolume: 'Comments over time',
+    comments: { one: '{count} comment', other: '{count} comments' },
+    noComments: 'No comments.',
+    volumeHint: 'Comments without a creation date count on the event date.',
+    byDuration: 'Average by duration type',
+    distribution: 'Rating distribution per event',
+    histogramTitle: 'Ratings for {name}',
+    showAll: 'Show all ({count})',
+    showLess: 'Show less'
+  },
+
+  recurrence: {
+    title: 'Repeat',
+    frequency: 'Repeats',
+    none: 'Does not repeat',
+    frequencies: {
+      diaria: 'Daily',
+      semanal: 'Weekly',
+      mensal: 'Monthly'
+    },
+    interval: 'Every',
+    units: {
+      diaria: { one: 'day', other: 'days' },
+      semanal: { one: 'week', other: 'weeks' },
+      mensal: { one: 'month', other: 'months' }
+    },
+    ends: 'Ends',
+    until: 'On',
+    after: 'After',
+    count: 'Number of occurrences',
+    occurrences: 'occurrences',
+    exceptions: 'Skip dates',
+    skip: 'Skip',
+    removeException: 'Include {date} again',
+    every: 'every {count} {unit}',
+    untilDate: 'until {date}',
+    times: { one: '{count} time', other: '{count} times' },
+    skipped: { one: '{count} date skipped', other: '{count} dates skipped' }
+  },
+
+  notFound: {
+    message: 'Page not found.'
+  },
+
+  calendar: {
+    today: 'Today',
+    previous: 'Previous',
+    next: 'Next',
+    month: 'Month',
+    week: 'Week',
+    agenda: 'Agenda',
+    addOnDay: 'Add an event on this day',
+    addOnDate: 'Add an event on {date}',
+    emptyPeriod: 'No events in this period.'
+  },
+
+  ics: {
+    export: {
+      duration: 'Duration: {duration}',
+      rating: 'Average rating: {rating}',
+      comments: 'Comments: {count}'
+    },
+    title: 'Import events',
+    summary: '{filename}: {found} events found, {valid} valid.',
+    rejected: 'These events were rejected by the server:',
+    validation: 'Validation',
+    ok: 'OK',
+    importing: 'Importing...',
+    import: { zero: 'Import', one: 'Import {count} event', other: 'Import {count} events' },
+    invalidFile: 'The file is not a valid iCalendar calendar.',
+    issues: {
+      missingSummary: 'Event without a title (SUMMARY).',
+      invalidStart: 'Missing or invalid start date (DTSTART).',
+      invalidEnd: 'Invalid end date (DTEND).',
+      endBeforeStart: 'The end (DTEND) is before the start.',
+      unrepresentableDuration: 'The duration cannot be expressed in hours, days, weeks, months or years.',
+      unsupportedDuration: 'Unsupported duration (DURATION): {value}',
+      recurrenceIgnored: 'This recurrence rule (RRULE) is not supported: only the first occurrence will be created.'
+    }
+  }
+};
+
+export default en;
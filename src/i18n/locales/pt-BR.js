@@ -0,0 +1,381 @@
+// Catálogo pt-BR; entradas com { one, other } são escolhidas pelo parâmetro count
+const ptBR = {
+  common: {
+    loading: 'Carregando...',
+    error: 'Erro: {message}',
+    retry: 'Tentar novamente',
+    cancel: 'Cancelar',
+    close: 'Fechar',
+    save: 'Salvar',
+    edit: 'Editar',
+    delete: 'Excluir',
+    pending: 'pendente',
+    unnamedEvent: 'Evento sem nome',
+    noDate: 'Sem data',
+    notAvailable: 'N/A',
+    rating: '{value}/5',
+    anonymous: 'Anônimo',
+    backToEvents: 'Voltar para os eventos',
+    language: 'Idioma'
+  },
+
+  errors: {
+    network: 'sem conexão com o servidor',
+    timeout: 'o servidor demorou demais para responder',
+    status: 'o servidor respondeu com o erro {status}',
+    server: 'o servidor recusou o envio'
+  },
+
+  duration: {
+    unknown: 'Sem info de duração',
+    types: {
+      horas: 'Horas',
+      dias: 'Dias',
+      semanas: 'Semanas',
+      meses: 'Meses',
+      anos: 'Anos'
+    },
+    amount: {
+      horas: { one: '{count} hora', other: '{count} horas' },
+      dias: { one: '{count} dia', other: '{count} dias' },
+      semanas: { one: '{count} semana', other: '{count} semanas' },
+      meses: { one: '{count} mês', other: '{count} meses' },
+      anos: { one: '{count} ano', other: '{count} anos' }
+    }
+  },
+
+  status: {
+    upcoming: 'Próximo',
+    ongoing: 'Em andamento',
+    past: 'Encerrado'
+  },
+
+  app: {
+    title: 'Eventos e comentários',
+    moderation: 'Moderação ({count})',
+    addEvent: 'Adicionar Evento',
+    tableTab: 'Tabela',
+    calendarTab: 'Calendário',
+    dashboardTab: 'Estatísticas',
+    offline: 'Você está offline.',
+    reconnecting: 'Conexão restabelecida, atualizando.',
+    staleSince: 'Mostrando os eventos salvos em {date}.'
+  },
+
+  live: {
+    connecting: { label: 'Conectando...', description: 'Conectando às atualizações ao vivo.' },
+    live: { label: 'Ao vivo', description: 'Novos eventos e comentários aparecem automaticamente.' },
+    polling: { label: 'Atualização periódica', description: 'Sem conexão ao vivo: a lista é verificada a cada 30 segundos.' },
+    reconnecting: { label: 'Reconectando...', description: 'A conexão caiu; tentando de novo.' },
+    offline: { label: 'Offline', description: 'Sem conexão: as atualizações voltam quando a conexão voltar.' }
+  },
+
+  auth: {
+    title: 'Entrar',
+    username: 'Usuário',
+    password: 'Senha',
+    submit: 'Entrar',
+    submitting: 'Entrando...',
+    login: 'Entrar',
+    logout: 'Sair',
+    greeting: 'Olá, {name}',
+    loggedIn: 'Bem-vindo, {name}.',
+    loggedOut: 'Você saiu da sua conta.',
+    invalidCredentials: 'Usuário ou senha inválidos.',
+    expired: 'Sua sessão expirou. Entre novamente.',
+    notOwner: 'Só quem criou este evento pode editá-lo.'
+  },
+
+  events: {
+    created: 'Evento criado.',
+    createFailed: 'Não foi possível criar o evento: {message}',
+    createUncertain: 'O servidor demorou a responder e o evento pode ter sido criado. Confira a lista antes de tentar de novo.',
+    updated: 'Evento atualizado.',
+    updateFailed: 'Não foi possível atualizar "{name}": {message}',
+    confirmDelete: 'Excluir o evento "{name}"?',
+    confirmDeleteSeries: 'Excluir todas as ocorrências de "{name}"?',
+    confirmDeleteOccurrence: 'Excluir só a ocorrência de {date} de "{name}"?',
+    deleted: 'Evento excluído.',
+    occurrenceDeleted: 'Ocorrência de {date} excluída.',
+    deleteFailed: 'Não foi possível excluir "{name}": {message}',
+    refreshFailed: 'Não foi possível atualizar os eventos: {message}',
+    loadMoreFailed: 'Não foi possível carregar mais eventos: {message}',
+    imported: { one: '{count} evento importado.', other: '{count} eventos importados.' },
+    importFailed: {
+      one: '{count} evento não pôde ser importado.',
+      other: '{count} eventos não puderam ser importados.'
+    }
+  },
+
+  comments: {
+    title: 'Comentários',
+    empty: 'Sem comentários para esse evento.',
+    by: 'Comentário de {name}',
+    noText: 'Sem texto no comentário',
+    add: 'Adicionar comentário',
+    reply: 'Responder',
+    aboutOccurrence: 'Sobre a ocorrência de {date}',
+    aboutSeries: 'Sobre toda a série',
+    showReplies: { one: 'Ver {count} resposta', other: 'Ver {count} respostas' },
+    hideReplies: 'Ocultar respostas',
+    reactions: {
+      curtir: 'Curtir',
+      util: 'Útil'
+    },
+    reactFailed: 'Não foi possível registrar a reação: {message}',
+    report: 'Denunciar',
+    reported: 'Denunciado',
+    published: 'Comentário publicado.',
+    publishFailed: 'Não foi possível publicar o comentário: {message}',
+    publishUncertain: 'O servidor demorou a responder e o comentário pode ter sido publicado. Confira antes de tentar de novo.',
+    updated: 'Comentário atualizado.',
+    updateFailed: 'Não foi possível atualizar o comentário',
+    confirmDelete: 'Excluir este comentário?',
+    deleted: 'Comentário excluído.',
+    deleteFailed: 'Não foi possível excluir o comentário: {message}',
+    confirmReport: 'Denunciar este comentário para a moderação?',
+    reportFailed: 'Não foi possível denunciar o comentário',
+    hideFailed: 'Não foi possível ocultar o comentário',
+    dismissFailed: 'Não foi possível descartar a denúncia'
+  },
+
+  moderation: {
+    title: 'Comentários denunciados',
+    event: 'Evento: {name}',
+    hide: 'Ocultar',
+    remove: 'Remover',
+    keep: 'Manter',
+    empty: 'Nenhum comentário denunciado.'
+  },
+
+  outbox: {
+    title: 'Envios pendentes',
+    sending: { one: '{count} item aguardando envio...', other: '{count} itens aguardando envio...' },
+    waitingConnection: {
+      one: '{count} item aguardando a conexão voltar.',
+      other: '{count} itens aguardando a conexão voltar.'
+    },
+    eventLabel: 'Evento "{name}"',
+    commentLabel: 'Comentário "{text}"',
+    failed: 'falhou: {message}',
+    conflict: 'conflito: {message}',
+    sendNow: 'Enviar agora',
+    retry: 'Tentar de novo',
+    discard: 'Descartar',
+    eventNotCreated: 'O evento deste comentário não foi criado.',
+    uncertain: 'o servidor demorou a responder e pode já ter criado o item. Confira antes de tentar de novo.',
+    queued: 'Sem conexão: será enviado quando a conexão voltar.',
+    storeFailed: 'Não foi possível guardar para envio posterior: {message}',
+    synced: { one: '{count} item pendente enviado.', other: '{count} itens pendentes enviados.' },
+    sendFailed: 'Não foi possível enviar um item pendente: {message}'
+  },
+
+  filters: {
+    search: 'Pesquisar',
+    searchPlaceholder: 'Buscar por nome ou comentário...',
+    relevance: 'Mais relevantes primeiro',
+    from: 'De:',
+    to: 'Até:',
+    minRating: 'Classificação mínima',
+    any: 'Qualquer',
+    duration: 'Duração',
+    category: 'Categoria',
+    tag: 'Tag',
+    location: 'Local',
+    locationPlaceholder: 'Parte do endereço...',
+    status: 'Situação',
+    allStatuses: 'Todos',
+    statuses: {
+      upcoming: 'Próximos',
+      ongoing: 'Em andamento',
+      past: 'Encerrados'
+    },
+    withComments: 'Com comentários',
+    clear: 'Limpar filtros'
+  },
+
+  list: {
+    includeComments: 'Incluir comentários',
+    exportCsv: 'Exportar CSV',
+    exportJson: 'Exportar JSON',
+    exportIcs: 'Exportar .ics',
+    importIcs: 'Importar .ics',
+    icsTitle: 'Exportar para o calendário (.ics)',
+    name: 'Nome',
+    category: 'Categoria',
+    tags: 'Tags',
+    location: 'Local',
+    filterByTag: 'Mostrar só eventos com a tag {tag}',
+    recurring: 'Evento recorrente',
+    editOccurrence: 'Editar esta',
+    editSeries: 'Editar série',
+    deleteOccurrence: 'Excluir esta',
+    deleteSeries: 'Excluir série',
+    date: 'Data',
+    endDate: 'Término',
+    commentCount: 'Comentários',
+    columns: 'Colunas',
+    sortBy: 'Ordenar por {column}',
+    groupBy: 'Agrupar por',
+    noGrouping: 'Sem agrupamento',
+    groupOptions: {
+      categoria: 'Categoria',
+      tag: 'Tag',
+      local: 'Local'
+    },
+    withoutGroup: {
+      categoria: 'Sem categoria',
+      tag: 'Sem tags',
+      local: 'Sem local'
+    },
+    duration: 'Duração',
+    rating: 'Classificação',
+    actions: 'Ações',
+    showComments: 'Visualizar comentários',
+    hideComments: 'Esconder comentários',
+    empty: 'Sem eventos para o filtro selecionado.',
+    resultCount: { zero: 'Nenhum evento encontrado', one: '{count} evento encontrado', other: '{count} eventos encontrados' },
+    keyboardHint: 'Eventos. Use as setas para cima e para baixo, Home e End para passar de um evento a outro e Enter para mostrar os comentários.',
+    loadMore: 'Carregar mais eventos',
+    newComments: { one: '{count} novo comentário', other: '{count} novos comentários' },
+    commentMatches: { one: 'A busca aparece em {count} comentário', other: 'A busca aparece em {count} comentários' },
+    noEventsInFile: 'Nenhum evento encontrado no arquivo.',
+    readFileFailed: 'Não foi possível ler {filename}: {message}'
+  },
+
+  eventForm: {
+    newTitle: 'Adicionar Novo Evento',
+    editTitle: 'Editar Evento',
+    name: 'Nome do Evento',
+    date: 'Data',
+    durationAmount: 'Duração (quantidade)',
+    durationType: 'Tipo',
+    category: 'Categoria',
+    tags: 'Tags',
+    tagsPlaceholder: 'Digite e tecle Enter',
+    removeTag: 'Remover a tag {tag}',
+    location: 'Local',
+    description: 'Descrição',
+    occurrenceOnly: 'As alterações valem só para a ocorrência de {date}.',
+    submit: 'Salvar Evento'
+  },
+
+  commentForm: {
+    newTitle: 'Adicionar Comentário',
+    editTitle: 'Editar Comentário',
+    replyTitle: 'Responder a {name}',
+    postingAs: 'Publicando como {name}',
+    anonymous: 'Comentar como anônimo',
+    anonymousOnly: 'Sem login o comentário é publicado como anônimo.',
+    comment: 'Comentário',
+    commentPlaceholder: 'Escreva seu comentário...',
+    rating: 'Classificação (0-5)',
+    stars: { zero: 'Nenhuma estrela', one: '{count} estrela', other: '{count} estrelas' },
+    occurrenceOnly: 'Só sobre a ocorrência de {date}',
+    publish: 'Publicar'
+  },
+
+  detail: {
+    notFound: 'Evento não encontrado.',
+    occurrenceNotFound: 'Esta série não tem ocorrência nessa data.',
+    viewSeries: 'Ver a série',
+    upcoming: 'Próximas ocorrências',
+    seriesEnded: 'A série já terminou.',
+    start: 'Início',
+    end: 'Término',
+    duration: 'Duração',
+    category: 'Categoria',
+    location: 'Local',
+    description: 'Descrição',
+    rating: 'Classificação',
+    commentCount: { zero: '(nenhum comentário)', one: '({count} comentário)', other: '({count} comentários)' }
+  },
+
+  dashboard: {
+    basedOn: { one: 'Calculado sobre {count} evento carregado.', other: 'Calculado sobre {count} eventos carregados.' },
+    topRated: 'Mais bem avaliados',
+    lowestRated: 'Pior avaliados',
+    noRatings: 'Nenhum evento avaliado.',
+    commentVolume: 'Comentários ao longo do tempo',
+    comments: { one: '{count} comentário', other: '{count} comentários' },
+    noComments: 'Nenhum comentário.',
+    volumeHint: 'Comentários sem data de criação contam na data do evento.',
+    byDuration: 'Média por tipo de duração',
+    distribution: 'Distribuição das notas por evento',
+    histogramTitle: 'Notas de {name}',
+    showAll: 'Mostrar todos ({count})',
+    showLess: 'Mostrar menos'
+  },
+
+  recurrence: {
+    title: 'Repetição',
+    frequency: 'Repetir',
+    none: 'Não repete',
+    frequencies: {
+      diaria: 'Diária',
+      semanal: 'Semanal',
+      mensal: 'Mensal'
+    },
+    interval: 'A cada',
+    units: {
+      diaria: { one: 'dia', other: 'dias' },
+      semanal: { one: 'semana', other: 'semanas' },
+      mensal: { one: 'mês', other: 'meses' }
+    },
+    ends: 'Termina',
+    until: 'Em',
+    after: 'Depois de',
+    count: 'Quantidade de ocorrências',
+    occurrences: 'ocorrências',
+    exceptions: 'Pular datas',
+    skip: 'Pular',
+    removeException: 'Voltar a incluir {date}',
+    every: 'a cada {count} {unit}',
+    untilDate: 'até {date}',
+    times: { one: '{count} vez', other: '{count} vezes' },
+    skipped: { one: '{count} data pulada', other: '{count} datas puladas' }
+  },
+
+  notFound: {
+    message: 'Página não encontrada.'
+  },
+
+  calendar: {
+    today: 'Hoje',
+    previous: 'Anterior',
+    next: 'Próximo',
+    month: 'Mês',
+    week: 'Semana',
+    agenda: 'Agenda',
+    addOnDay: 'Adicionar evento neste dia',
+    addOnDate: 'Adicionar evento em {date}',
+    emptyPeriod: 'Sem eventos neste período.'
+  },
+
+  ics: {
+    export: {
+      duration: 'Duração: {duration}',
+      rating: 'Classificação média: {rating}',
+      comments: 'Comentários: {count}'
+    },
+    title: 'Importar eventos',
+    summary: '{filename}: {found} eventos encontrados, {valid} válidos.',
+    rejected: 'Estes eventos foram recusados pelo servidor:',
+    validation: 'Validação',
+    ok: 'OK',
+    importing: 'Importando...',
+    import: { zero: 'Importar', one: 'Importar {count} evento', other: 'Importar {count} eventos' },
+    invalidFile: 'O arquivo não é um calendário iCalendar válido.',
+    issues: {
+      missingSummary: 'Evento sem título (SUMMARY).',
+      invalidStart: 'Data de início (DTSTART) ausente ou inválida.',
+      invalidEnd: 'Data de término (DTEND) inválida.',
+      endBeforeStart: 'O término (DTEND) é anterior ao início.',
+      unrepresentableDuration: 'A duração não pode ser representada em horas, dias, semanas, meses ou anos.',
+      unsupportedDuration: 'Duração (DURATION) não suportada: {value}',
+      recurrenceIgnored: 'Esta regra de repetição (RRULE) não é suportada: só a primeira ocorrência será criada.'
+    }
+  }
+};
+
+export default ptBR;
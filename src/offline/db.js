@@ -0,0 +1,55 @@
+// Acesso ao IndexedDB: cache dos últimos eventos carregados e fila de escritas feitas offline
+
+const DB_NAME = 'eventos-app';
+const DB_VERSION = 1;
+
+let dbPromise = null;
+
+const openDb = () => {
+  if (!dbPromise) {
+    dbPromise = new Promise((resolve, reject) => {
+      if (typeof window === 'undefined' || !window.indexedDB) {
+        reject(new Error('IndexedDB indisponível neste navegador'));
+        return;
+      }
+      const request = window.indexedDB.open(DB_NAME, DB_VERSION);
+      request.onupgradeneeded = () => {
+        const db = request.result;
+        db.createObjectStore('cache');
+        db.createObjectStore('outbox', { keyPath: 'id', autoIncrement: true });
+      };
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error);
+    });
+    // A failed open can be retried later (e.g. private mode toggled)
+    dbPromise.catch(() => {
+      dbPromise = null;
+    });
+  }
+  return dbPromise;
+};
+
+// Runs one request in its own transaction and resolves once the transaction is committed
+const run = async (storeName, mode, operation) => {
+  const db = await openDb();
+  return new Promise((resolve, reject) => {
+    const transaction = db.transaction(storeName, mode);
+    const request = operation(transaction.objectStore(storeName));
+    transaction.oncomplete = () => resolve(request.result);
+    transaction.onerror = () => reject(transaction.error);
+    transaction.onabort = () => reject(transaction.error);
+  });
+};
+
+export const readCache = (key) => run('cache', 'readonly', store => store.get(key));
+
+export const writeCache = (key, value) => run('cache', 'readwrite', store => store.put(value, key));
+
+// getAll devolve em ordem de chave, que é a ordem de inserção
+export const listOutbox = () => run('outbox', 'readonly', store => store.getAll());
+
+export const addToOutbox = (entry) => run('outbox', 'readwrite', store => store.add(entry));
+
+export const updateOutboxEntry = (entry) => run('outbox', 'readwrite', store => store.put(entry));
+
+export const removeFromOutbox = (id) => run('outbox', 'readwrite', store => store.delete(id));
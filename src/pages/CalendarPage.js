@@ -0,0 +1,219 @@
+import React, { useState } from 'react';
+import { Link, useLocation, useNavigate } from 'react-router-dom';
+import {
+  addMonths,
+  addWeeks,
+  eachDayOfInterval,
+  endOfDay,
+  endOfMonth,
+  endOfWeek,
+  format,
+  isSameDay,
+  isSameMonth,
+  startOfDay,
+  startOfMonth,
+  startOfWeek
+} from 'date-fns';
+import EventFilters from '../components/EventFilters';
+import { emptyEvent } from '../components/EventFormModal';
+import { useI18n } from '../i18n/I18nProvider';
+import { eventOverlaps, getEventLastMoment, getEventStartDate } from '../utils/eventDates';
+import { eventKey, eventPath } from '../utils/recurrence';
+
+// Rótulos em calendar.<modo> no catálogo de traduções
+const MODES = {
+  month: { step: addMonths },
+  week: { step: addWeeks },
+  agenda: { step: addMonths }
+};
+
+// Intervalo de datas exibido em cada modo; o primeiro dia da semana vem do locale do date-fns
+const getPeriod = (mode, cursor, locale) => {
+  if (mode === 'week') {
+    return { start: startOfWeek(cursor, { locale }), end: endOfWeek(cursor, { locale }) };
+  }
+  if (mode === 'month') {
+    return { start: startOfWeek(startOfMonth(cursor), { locale }), end: endOfWeek(endOfMonth(cursor), { locale }) };
+  }
+  return { start: startOfMonth(cursor), end: endOfMonth(cursor) };
+};
+
+const getPeriodTitle = (mode, cursor, period, formatDate) => {
+  if (mode === 'week') {
+    return `${formatDate(period.start)} – ${formatDate(period.end)}`;
+  }
+  return formatDate(cursor, 'LLLL yyyy');
+};
+
+// Faixa do evento num dia; as pontas arredondadas marcam o primeiro e o último dia
+const EventChip = ({ event, day }) => {
+  const startsToday = isSameDay(getEventStartDate(event), day);
+  const endsToday = isSameDay(getEventLastMoment(event), day);
+  const { t } = useI18n();
+
+  return (
+      <Link
+          to={eventPath(event)}
+          onClick={(e) => e.stopPropagation()}
+          title={event.nome}
+          className={`block truncate text-xs px-1 py-0.5 bg-blue-500 text-white hover:bg-blue-600
+            ${startsToday ? 'rounded-l ml-0.5' : ''} ${endsToday ? 'rounded-r mr-0.5' : ''}`}
+      >
+        {startsToday || day.getDay() === 0 ? event.nome || t('common.unnamedEvent') : ' '}
+      </Link>
+  );
+};
+
+const DayCell = ({ day, events, muted, tall, onSelectDay }) => {
+  const dayEvents = events.filter(event => eventOverlaps(event, startOfDay(day), endOfDay(day)));
+  const { t, formatDate } = useI18n();
+
+  // The whole cell takes clicks; the day number is the button that keyboard users reach
+  return (
+      <div
+          onClick={() => onSelectDay(day)}
+          title={t('calendar.addOnDay')}
+          className={`border-t border-l p-1 cursor-pointer hover:bg-blue-50 ${tall ? 'min-h-64' : 'min-h-24'}
+            ${muted ? 'bg-gray-50 text-gray-400' : 'bg-white'}`}
+      >
+        <button
+            type="button"
+            onClick={(e) => {
+              e.stopPropagation();
+              onSelectDay(day);
+            }}
+            aria-label={t('calendar.addOnDate', { date: formatDate(day) })}
+            className={`block text-xs mb-1 px-1 rounded hover:underline ${isSameDay(day, new Date()) ? 'font-bold text-blue-600' : ''}`}
+        >
+          {format(day, 'd')}
+        </button>
+        <div className="space-y-0.5">
+          {dayEvents.map(event => <EventChip key={eventKey(event)} event={event} day={day} />)}
+        </div>
+      </div>
+  );
+};
+
+const AgendaList = ({ events, period }) => {
+  const periodEvents = events
+      .filter(event => eventOverlaps(event, period.start, period.end))
+      .sort((a, b) => getEventStartDate(a) - getEventStartDate(b));
+  const { t, formatDate, formatDuration } = useI18n();
+
+  if (periodEvents.length === 0) {
+    return <div className="text-gray-500 p-4">{t('calendar.emptyPeriod')}</div>;
+  }
+
+  return (
+      <ul className="divide-y">
+        {periodEvents.map(event => {
+          const start = getEventStartDate(event);
+          const lastDay = getEventLastMoment(event);
+          return (
+              <li key={eventKey(event)} className="p-3 flex gap-4">
+                <span className="w-48 text-gray-600">
+                  {formatDate(start)}
+                  {!isSameDay(lastDay, start) ? ` – ${formatDate(lastDay)}` : ''}
+                </span>
+                <Link to={eventPath(event)} className="text-blue-700 hover:underline">
+                  {event.nome || t('common.unnamedEvent')}
+                </Link>
+                <span className="text-gray-500">{formatDuration(event.duracao_qtd, event.duracao_tipo)}</span>
+              </li>
+          );
+        })}
+      </ul>
+  );
+};
+
+// Calendário (mês/semana/agenda) com os mesmos eventos filtrados da tabela
+function CalendarPage({ events, filters, filterOptions, updateFilter, resetFilters }) {
+  const [mode, setMode] = useState('month');
+  const [cursor, setCursor] = useState(() => new Date());
+  const navigate = useNavigate();
+  const location = useLocation();
+  const { t, dateLocale, formatDate } = useI18n();
+
+  const period = getPeriod(mode, cursor, dateLocale);
+  const days = eachDayOfInterval(period);
+  const weekdays = days.slice(0, 7);
+
+  // Clicking a day opens the new-event form with that date already filled in
+  const handleSelectDay = (day) => {
+    navigate('/eventos/novo', {
+      state: { background: location, draft: { ...emptyEvent, data: format(day, 'yyyy-MM-dd') } }
+    });
+  };
+
+  return (
+      <>
+        {/* Filters */}
+        <EventFilters filters={filters} options={filterOptions} updateFilter={updateFilter} resetFilters={resetFilters} />
+
+        <div className="bg-white rounded-lg shadow">
+          <div className="flex flex-wrap justify-between items-center gap-2 p-4 border-b">
+            <div className="flex gap-2">
+              <button
+                  onClick={() => setCursor(MODES[mode].step(cursor, -1))}
+                  title={t('calendar.previous')}
+                  className="px-3 py-1 bg-gray-300 text-gray-800 rounded hover:bg-gray-400"
+              >
+                ‹
+              </button>
+              <button
+                  onClick={() => setCursor(new Date())}
+                  className="px-3 py-1 bg-gray-300 text-gray-800 rounded hover:bg-gray-400"
+              >
+                {t('calendar.today')}
+              </button>
+              <button
+                  onClick={() => setCursor(MODES[mode].step(cursor, 1))}
+                  title={t('calendar.next')}
+                  className="px-3 py-1 bg-gray-300 text-gray-800 rounded hover:bg-gray-400"
+              >
+                ›
+              </button>
+            </div>
+            <h2 className="text-lg font-semibold capitalize">{getPeriodTitle(mode, cursor, period, formatDate)}</h2>
+            <div className="flex gap-1">
+              {Object.keys(MODES).map(key => (
+                  <button
+                      key={key}
+                      onClick={() => setMode(key)}
+                      className={`px-3 py-1 rounded ${mode === key
+                          ? 'bg-blue-500 text-white'
+                          : 'bg-gray-200 text-gray-800 hover:bg-gray-300'}`}
+                  >
+                    {t(`calendar.${key}`)}
+                  </button>
+              ))}
+            </div>
+          </div>
+
+          {mode === 'agenda' ? (
+              <AgendaList events={events} period={period} />
+          ) : (
+              <div className="grid grid-cols-7 border-r border-b">
+                {weekdays.map(weekday => (
+                    <div key={weekday.getDay()} className="border-t border-l p-2 text-sm font-semibold bg-gray-100 capitalize">
+                      {formatDate(weekday, 'EEE')}
+                    </div>
+                ))}
+                {days.map(day => (
+                    <DayCell
+                        key={day.toISOString()}
+                        day={day}
+                        events={events}
+                        muted={mode === 'month' && !isSameMonth(day, cursor)}
+                        tall={mode === 'week'}
+                        onSelectDay={handleSelectDay}
+                    />
+                ))}
+              </div>
+          )}
+        </div>
+      </>
+  );
+}
+
+export default CalendarPage;
@@ -0,0 +1,170 @@
+import React, { useMemo, useState } from 'react';
+import { Link } from 'react-router-dom';
+import BarChart from '../components/BarChart';
+import EventFilters from '../components/EventFilters';
+import { useI18n } from '../i18n/I18nProvider';
+import { averageByDurationType, commentVolume, groupSeries, rankEventsByRating } from '../utils/analytics';
+import { getRatingCounts, RATING_VALUES, ratedComments } from '../utils/ratings';
+import { eventKey, eventPath } from '../utils/recurrence';
+
+// Histogramas por evento exibidos antes do "mostrar todos"
+const HISTOGRAM_LIMIT = 12;
+
+const Section = ({ title, children, className = '' }) => (
+    <section className={`bg-white p-4 rounded-lg shadow ${className}`}>
+      <h2 className="text-lg font-semibold mb-3">{title}</h2>
+      {children}
+    </section>
+);
+
+const RankingList = ({ items }) => {
+  const { t, formatRating } = useI18n();
+
+  if (items.length === 0) {
+    return <p className="text-gray-500">{t('dashboard.noRatings')}</p>;
+  }
+
+  return (
+      <ol className="space-y-1">
+        {items.map(({ event, average, count }) => (
+            <li key={eventKey(event)} className="flex justify-between gap-2">
+              <Link to={eventPath(event)} className="truncate text-blue-700 hover:underline">
+                {event.nome || t('common.unnamedEvent')}
+              </Link>
+              <span className="whitespace-nowrap text-gray-600">
+                {formatRating(average)} <span className="text-sm">{t('detail.commentCount', { count })}</span>
+              </span>
+            </li>
+        ))}
+      </ol>
+  );
+};
+
+const EventHistogram = ({ event }) => {
+  const { t } = useI18n();
+  const counts = getRatingCounts(event);
+  const name = event.nome || t('common.unnamedEvent');
+
+  return (
+      <div className="border rounded p-2">
+        <Link to={eventPath(event)} className="block truncate text-sm text-blue-700 hover:underline">{name}</Link>
+        <BarChart
+            title={t('dashboard.histogramTitle', { name })}
+            data={RATING_VALUES.map(rating => ({ key: rating, label: `★${rating}`, value: counts[rating] }))}
+            height={110}
+            barClassName="fill-yellow-400"
+        />
+      </div>
+  );
+};
+
+// Painel de análise das avaliações, calculado sobre os eventos filtrados já carregados
+function DashboardPage({ events, filters, filterOptions, updateFilter, resetFilters, hasMore, loadingMore, loadMore }) {
+  const [showAllHistograms, setShowAllHistograms] = useState(false);
+  const { t, formatDate, formatNumber, formatRating } = useI18n();
+
+  // Rankings and histograms are per series: one rating would otherwise count once per occurrence
+  const stats = useMemo(() => {
+    const series = groupSeries(events);
+    return {
+      top: rankEventsByRating(series),
+      lowest: rankEventsByRating(series, { ascending: true }),
+      volume: commentVolume(events),
+      byDuration: averageByDurationType(series),
+      rated: series
+          .filter(event => ratedComments(event).length > 0)
+          .sort((a, b) => ratedComments(b).length - ratedComments(a).length)
+    };
+  }, [events]);
+
+  const histograms = showAllHistograms ? stats.rated : stats.rated.slice(0, HISTOGRAM_LIMIT);
+  const { daily, buckets } = stats.volume;
+
+  return (
+      <>
+        {/* Filters; the date range limits the events the charts are computed from */}
+        <EventFilters filters={filters} options={filterOptions} updateFilter={updateFilter} resetFilters={resetFilters} />
+
+        <div className="flex flex-wrap items-center gap-2 mb-4 text-sm text-gray-600">
+          <span>{t('dashboard.basedOn', { count: events.length })}</span>
+          {hasMore && (
+              <button
+                  onClick={loadMore}
+                  disabled={loadingMore}
+                  className="px-3 py-1 bg-gray-300 text-gray-800 rounded hover:bg-gray-400 disabled:opacity-50"
+              >
+                {loadingMore ? t('common.loading') : t('list.loadMore')}
+              </button>
+          )}
+        </div>
+
+        <div className="grid gap-4 md:grid-cols-2">
+          <Section title={t('dashboard.topRated')}>
+            <RankingList items={stats.top} />
+          </Section>
+          <Section title={t('dashboard.lowestRated')}>
+            <RankingList items={stats.lowest} />
+          </Section>
+
+          <Section title={t('dashboard.commentVolume')}>
+            {buckets.length === 0 ? (
+                <p className="text-gray-500">{t('dashboard.noComments')}</p>
+            ) : (
+                <>
+                  <BarChart
+                      title={t('dashboard.commentVolume')}
+                      data={buckets.map(bucket => ({
+                        key: bucket.key,
+                        label: formatDate(bucket.date, daily ? 'd MMM' : 'MMM yy'),
+                        title: `${formatDate(bucket.date, daily ? 'P' : 'LLLL yyyy')}: ${t('dashboard.comments', { count: bucket.count })}`,
+                        value: bucket.count
+                      }))}
+                      labelEvery={Math.ceil(buckets.length / 12)}
+                  />
+                  <p className="mt-2 text-xs text-gray-500">{t('dashboard.volumeHint')}</p>
+                </>
+            )}
+          </Section>
+
+          <Section title={t('dashboard.byDuration')}>
+            <BarChart
+                title={t('dashboard.byDuration')}
+                max={5}
+                data={stats.byDuration.map(({ type, average, count }) => ({
+                  key: type,
+                  label: t(`duration.types.${type}`),
+                  title: `${t(`duration.types.${type}`)}: ${formatRating(average)} ${t('detail.commentCount', { count })}`,
+                  value: average
+                }))}
+                formatValue={value => formatNumber(value, { minimumFractionDigits: 1, maximumFractionDigits: 1 })}
+                barClassName="fill-green-500"
+            />
+          </Section>
+
+          <Section title={t('dashboard.distribution')} className="md:col-span-2">
+            {stats.rated.length === 0 ? (
+                <p className="text-gray-500">{t('dashboard.noRatings')}</p>
+            ) : (
+                <>
+                  <div className="grid gap-3 sm:grid-cols-2 lg:grid-cols-4">
+                    {histograms.map(event => <EventHistogram key={eventKey(event)} event={event} />)}
+                  </div>
+                  {stats.rated.length > HISTOGRAM_LIMIT && (
+                      <button
+                          onClick={() => setShowAllHistograms(!showAllHistograms)}
+                          className="mt-3 text-blue-700 hover:underline"
+                      >
+                        {showAllHistograms
+                            ? t('dashboard.showLess')
+                            : t('dashboard.showAll', { count: stats.rated.length })}
+                      </button>
+                  )}
+                </>
+            )}
+          </Section>
+        </div>
+      </>
+  );
+}
+
+export default DashboardPage;
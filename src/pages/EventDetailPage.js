@@ -0,0 +1,227 @@
+import React from 'react';
+import { Link, useParams, useSearchParams } from 'react-router-dom';
+import CommentsSection from '../components/CommentsSection';
+import RecurrenceSummary from '../components/RecurrenceSummary';
+import { getEventEndDate, getEventStartDate, getEventStatus } from '../utils/eventDates';
+import { getEventTags } from '../utils/eventTags';
+import { getAverageRating, getCommentCount, getRatingCounts, RATING_VALUES, ratedComments } from '../utils/ratings';
+import { eventKey, eventPath, expandEvent, getOccurrence, isRecurring } from '../utils/recurrence';
+import useEventById from '../hooks/useEventById';
+import useICalendarDownload from '../hooks/useICalendarDownload';
+import { useI18n } from '../i18n/I18nProvider';
+import { useAuth } from '../auth/AuthProvider';
+import NotFoundPage from './NotFoundPage';
+
+// Quantidade de comentários por nota (0 a 5)
+const RatingBreakdown = ({ event }) => {
+  const comments = ratedComments(event);
+  const ratingCounts = getRatingCounts(event);
+  const counts = [...RATING_VALUES].reverse().map(rating => ({ rating, count: ratingCounts[rating] }));
+
+  return (
+      <div className="space-y-1">
+        {counts.map(({ rating, count }) => (
+            <div key={rating} className="flex items-center text-sm">
+              <span className="w-10 text-yellow-500">★ {rating}</span>
+              <div className="flex-1 h-3 mx-2 bg-gray-200 rounded">
+                <div
+                    className="h-3 bg-yellow-400 rounded"
+                    style={{ width: comments.length ? `${(count / comments.length) * 100}%` : 0 }}
+                />
+              </div>
+              <span className="w-8 text-right text-gray-600">{count}</span>
+            </div>
+        ))}
+      </div>
+  );
+};
+
+// Próximas ocorrências listadas na página da série
+const UPCOMING_LIMIT = 5;
+
+// As próximas datas de uma série, com link para a página de cada ocorrência
+const UpcomingOccurrences = ({ series }) => {
+  const { t, formatDate } = useI18n();
+  const now = new Date();
+  const upcoming = expandEvent(series).filter(occurrence => getEventEndDate(occurrence) > now).slice(0, UPCOMING_LIMIT);
+
+  return (
+      <div className="mt-6">
+        <h3 className="text-sm text-gray-500">{t('detail.upcoming')}</h3>
+        {upcoming.length > 0 ? (
+            <ul className="mt-1 flex flex-wrap gap-3">
+              {upcoming.map(occurrence => (
+                  <li key={eventKey(occurrence)}>
+                    <Link to={eventPath(occurrence)} className="text-blue-700 hover:underline">
+                      {formatDate(occurrence.data)}
+                    </Link>
+                  </li>
+              ))}
+            </ul>
+        ) : (
+            <p className="mt-1 text-gray-500">{t('detail.seriesEnded')}</p>
+        )}
+      </div>
+  );
+};
+
+// Página de um evento (/eventos/:id): dados, distribuição das notas e comentários.
+// Em séries, ?ocorrencia=yyyy-MM-dd mostra uma ocorrência; sem ela, a série toda
+function EventDetailPage({
+  events,
+  loading,
+  listUrl,
+  onEventLoaded,
+  onEditEvent,
+  onDeleteEvent,
+  onDeleteOccurrence,
+  commentActions
+}) {
+  const { id } = useParams();
+  const [searchParams] = useSearchParams();
+  const occurrenceDay = searchParams.get('ocorrencia');
+  const { event: series, notFound, error: fetchError } = useEventById(id, events, loading, onEventLoaded);
+  const { t, formatDate, formatDuration, formatRating, formatError } = useI18n();
+  const { canEdit } = useAuth();
+  const downloadICalendar = useICalendarDownload();
+
+  if (notFound) return <NotFoundPage message={t('detail.notFound')} />;
+  if (fetchError) return <div role="alert" className="text-center p-4 text-red-500">{t('common.error', { message: formatError(fetchError) })}</div>;
+  if (!series) return <div role="status" className="text-center p-4">{t('common.loading')}</div>;
+
+  const event = occurrenceDay ? getOccurrence(series, occurrenceDay) : series;
+  if (!event) return <NotFoundPage message={t('detail.occurrenceNotFound')} />;
+
+  const start = getEventStartDate(event);
+  const end = getEventEndDate(event);
+  const status = getEventStatus(event);
+  const tags = getEventTags(event);
+
+  return (
+      <div className="space-y-6">
+        <Link to={listUrl} className="text-blue-700 hover:underline">← {t('common.backToEvents')}</Link>
+
+        <div className="bg-white p-6 rounded-lg shadow">
+          <div className="flex justify-between items-start">
+            <div>
+              <h2 className="text-2xl font-bold">{event.nome || t('common.unnamedEvent')}</h2>
+              {status && <span className="text-sm text-gray-500">{t(`status.${status}`)}</span>}
+              {event.pendente && <span className="ml-2 text-xs px-2 py-1 rounded bg-yellow-100 text-yellow-800">{t('common.pending')}</span>}
+              {isRecurring(series) && (
+                  <div className="text-sm text-gray-600">
+                    ↻ <RecurrenceSummary recurrence={series.recorrencia} />
+                    {event.ocorrencia && (
+                        <Link to={`/eventos/${series.id}`} className="ml-2 text-blue-700 hover:underline">
+                          {t('detail.viewSeries')}
+                        </Link>
+                    )}
+                  </div>
+              )}
+              {tags.length > 0 && (
+                  <div className="flex flex-wrap gap-1 mt-2">
+                    {tags.map(tag => (
+                        <span key={tag} className="text-xs px-2 py-0.5 rounded-full bg-gray-200">{tag}</span>
+                    ))}
+                  </div>
+              )}
+            </div>
+            <div className="flex gap-2">
+              {canEdit(event) && !event.pendente && event.ocorrencia && (
+                  <>
+                  <button
+                      onClick={() => onEditEvent(event, event.ocorrencia)}
+                      className="px-3 py-1 bg-yellow-500 text-white rounded hover:bg-yellow-600 transition"
+                  >
+                    {t('list.editOccurrence')}
+                  </button>
+                  <button
+                      onClick={() => onDeleteOccurrence(event)}
+                      className="px-3 py-1 bg-red-500 text-white rounded hover:bg-red-600 transition"
+                  >
+                    {t('list.deleteOccurrence')}
+                  </button>
+                  </>
+              )}
+              {canEdit(event) && !event.pendente && (
+                  <>
+                  <button
+                      onClick={() => onEditEvent(series)}
+                      className="px-3 py-1 bg-yellow-500 text-white rounded hover:bg-yellow-600 transition"
+                  >
+                    {isRecurring(series) ? t('list.editSeries') : t('common.edit')}
+                  </button>
+                  <button
+                      onClick={() => onDeleteEvent(series)}
+                      className="px-3 py-1 bg-red-500 text-white rounded hover:bg-red-600 transition"
+                  >
+                    {isRecurring(series) ? t('list.deleteSeries') : t('common.delete')}
+                  </button>
+                  </>
+              )}
+              <button
+                  onClick={() => downloadICalendar([event], `evento-${eventKey(event)}.ics`)}
+                  className="px-3 py-1 bg-gray-300 text-gray-800 rounded hover:bg-gray-400 transition"
+              >
+                {t('list.exportIcs')}
+              </button>
+            </div>
+          </div>
+
+          <div className="grid grid-cols-1 md:grid-cols-2 gap-6 mt-4">
+            <dl className="space-y-2">
+              {event.categoria && (
+                  <div>
+                    <dt className="text-sm text-gray-500">{t('detail.category')}</dt>
+                    <dd>{event.categoria}</dd>
+                  </div>
+              )}
+              {event.local && (
+                  <div>
+                    <dt className="text-sm text-gray-500">{t('detail.location')}</dt>
+                    <dd>{event.local}</dd>
+                  </div>
+              )}
+              <div>
+                <dt className="text-sm text-gray-500">{t('detail.start')}</dt>
+                <dd>{formatDate(start)}</dd>
+              </div>
+              <div>
+                <dt className="text-sm text-gray-500">{t('detail.end')}</dt>
+                <dd>{formatDate(end)}</dd>
+              </div>
+              <div>
+                <dt className="text-sm text-gray-500">{t('detail.duration')}</dt>
+                <dd>{formatDuration(event.duracao_qtd, event.duracao_tipo)}</dd>
+              </div>
+              <div>
+                <dt className="text-sm text-gray-500">{t('detail.rating')}</dt>
+                <dd>
+                  <span className="text-yellow-500 mr-1">★</span>
+                  {formatRating(getAverageRating(event))}
+                  <span className="text-gray-500 text-sm ml-2">
+                    {t('detail.commentCount', { count: getCommentCount(event) })}
+                  </span>
+                </dd>
+              </div>
+            </dl>
+            <RatingBreakdown event={event} />
+          </div>
+
+          {isRecurring(series) && !event.ocorrencia && <UpcomingOccurrences series={series} />}
+
+          {event.descricao && (
+              <div className="mt-6">
+                <h3 className="text-sm text-gray-500">{t('detail.description')}</h3>
+                <p className="mt-1 whitespace-pre-line">{event.descricao}</p>
+              </div>
+          )}
+        </div>
+
+        <div className="bg-white rounded-lg shadow">
+          <CommentsSection event={event} {...commentActions} />
+        </div>
+      </div>
+  );
+}
+
+export default EventDetailPage;
@@ -0,0 +1,89 @@
+import React, { useState } from 'react';
+import { useLocation, useNavigate, useParams, useSearchParams } from 'react-router-dom';
+import { format, parseISO } from 'date-fns';
+import EventFormModal from '../components/EventFormModal';
+import LoginModal from '../components/LoginModal';
+import { useAuth } from '../auth/AuthProvider';
+import useEventById from '../hooks/useEventById';
+import { useI18n } from '../i18n/I18nProvider';
+import { getEventTags } from '../utils/eventTags';
+import { getOccurrence } from '../utils/recurrence';
+import NotFoundPage from './NotFoundPage';
+
+const toFormValues = (event) => ({
+  nome: event.nome || '',
+  data: event.data ? format(parseISO(event.data), 'yyyy-MM-dd') : '',
+  duracao_qtd: event.duracao_qtd ?? '',
+  duracao_tipo: event.duracao_tipo || 'dias',
+  categoria: event.categoria || '',
+  tags: getEventTags(event),
+  local: event.local || '',
+  descricao: event.descricao || '',
+  recorrencia: event.recorrencia || null
+});
+
+// Rotas /eventos/novo e /eventos/:id/editar: o modal de evento, aberto sobre a página de origem.
+// ?ocorrencia=yyyy-MM-dd edita só essa ocorrência de uma série
+function EventFormRoute({ events, loading, suggestions, onEventLoaded, onCreate, onUpdate }) {
+  const { id } = useParams();
+  const [searchParams] = useSearchParams();
+  const occurrenceDay = searchParams.get('ocorrencia');
+  const location = useLocation();
+  const navigate = useNavigate();
+  const state = location.state || {};
+  const editing = id !== undefined;
+  const { event, notFound, error } = useEventById(id, events, loading || !editing, onEventLoaded);
+  const [errors, setErrors] = useState(state.errors || {});
+  const { t, formatError } = useI18n();
+  const { user, canEdit } = useAuth();
+  const occurrence = event && occurrenceDay ? getOccurrence(event, occurrenceDay) : null;
+
+  // Back to the page the form was opened from, or to the list on a direct visit
+  const close = () => {
+    if (state.background) {
+      navigate(-1);
+    } else {
+      navigate(editing ? `/eventos/${id}${occurrence ? `?ocorrencia=${occurrenceDay}` : ''}` : '/', { replace: true });
+    }
+  };
+
+  // Edits are optimistic and close right away; a failed creation keeps the form open
+  const handleSubmit = async (values) => {
+    if (editing) {
+      close();
+      await onUpdate(event.id, values, state.background, occurrence ? occurrenceDay : null);
+      return;
+    }
+    const fieldErrors = await onCreate(values);
+    if (fieldErrors) {
+      setErrors(fieldErrors);
+    } else {
+      close();
+    }
+  };
+
+  // Creating and editing need a session; the form shows up as soon as the login succeeds
+  if (!user) return <LoginModal onLoggedIn={() => {}} onCancel={close} />;
+  if (editing && notFound) return <NotFoundPage message={t('detail.notFound')} />;
+  if (editing && error) return <div role="alert" className="text-center p-4 text-red-500">{t('common.error', { message: formatError(error) })}</div>;
+  if (editing && !event) return null;
+  if (occurrenceDay && !occurrence) return <NotFoundPage message={t('detail.occurrenceNotFound')} />;
+  if (editing && !canEdit(event)) {
+    return <div role="alert" className="text-center p-4 text-red-500">{t('auth.notOwner')}</div>;
+  }
+
+  return (
+      <EventFormModal
+          key={location.key}
+          title={editing ? t('eventForm.editTitle') : t('eventForm.newTitle')}
+          occurrence={occurrence && occurrenceDay}
+          initialValues={state.draft || (editing ? toFormValues(occurrence || event) : undefined)}
+          suggestions={suggestions}
+          errors={errors}
+          onSubmit={handleSubmit}
+          onCancel={close}
+      />
+  );
+}
+
+export default EventFormRoute;
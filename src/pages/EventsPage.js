@@ -0,0 +1,493 @@
+import React, { useEffect, useId, useMemo, useRef, useState } from 'react';
+import { Link } from 'react-router-dom';
+import { format } from 'date-fns';
+import CommentsSection from '../components/CommentsSection';
+import EventFilters from '../components/EventFilters';
+import Highlight from '../components/Highlight';
+import IcsImportModal from '../components/IcsImportModal';
+import { useToast } from '../components/ToastProvider';
+import { useAuth } from '../auth/AuthProvider';
+import useICalendarDownload from '../hooks/useICalendarDownload';
+import useVirtualRows from '../hooks/useVirtualRows';
+import { useI18n } from '../i18n/I18nProvider';
+import { downloadEventsCsv, downloadEventsJson } from '../utils/exportData';
+import { parseICalendar } from '../utils/ical';
+import { getEventEndDate } from '../utils/eventDates';
+import { GROUP_OPTIONS, groupEvents, OPTIONAL_COLUMNS } from '../utils/eventTable';
+import { getEventTags } from '../utils/eventTags';
+import { eventKey, eventPath } from '../utils/recurrence';
+import { getAverageRating, getCommentCount } from '../utils/ratings';
+import { searchEvent } from '../utils/search';
+
+// Colunas da tabela na ordem exibida; as opcionais (utils/eventTable) podem ser ocultadas
+const COLUMNS = [
+  { key: 'nome', label: 'list.name', sortable: true },
+  { key: 'categoria', label: 'list.category', sortable: true },
+  { key: 'tags', label: 'list.tags', sortable: false },
+  { key: 'local', label: 'list.location', sortable: true },
+  { key: 'data', label: 'list.date', sortable: true },
+  { key: 'termino', label: 'list.endDate', sortable: true },
+  { key: 'duracao', label: 'list.duration', sortable: true },
+  { key: 'classificacao', label: 'list.rating', sortable: true },
+  { key: 'comentarios', label: 'list.commentCount', sortable: true },
+  { key: 'acoes', label: 'list.actions', sortable: false }
+];
+
+// Teclas que movem o foco entre as linhas de eventos -> índice da próxima linha
+const ROW_NAVIGATION_KEYS = {
+  ArrowDown: (index) => index + 1,
+  ArrowUp: (index) => index - 1,
+  Home: () => 0,
+  End: (index, count) => count - 1
+};
+
+// Lista de eventos: filtros e tabela com os comentários expansíveis
+function EventsPage({
+  events,
+  filters,
+  filterOptions,
+  updateFilter,
+  resetFilters,
+  refreshing,
+  hasMore,
+  loadingMore,
+  loadMoreFailed,
+  loadMore,
+  expandedEventId,
+  newCommentCounts = {},
+  tablePreferences,
+  onToggleEvent,
+  onEditEvent,
+  onDeleteEvent,
+  onDeleteOccurrence,
+  onImportEvents,
+  commentActions
+}) {
+  const [icsImport, setIcsImport] = useState(null);
+  const [exportComments, setExportComments] = useState(false);
+  const [activeRowKey, setActiveRowKey] = useState(null);
+  const tableRef = useRef(null);
+  const pendingFocusRef = useRef(null);
+  const tableId = useId();
+  const notify = useToast();
+  const downloadICalendar = useICalendarDownload();
+  const { user, canEdit } = useAuth();
+  const { t, locale, formatDate, formatDuration, formatNumber, formatRating } = useI18n();
+  const { sort, hiddenColumns, groupBy, sortBy, toggleColumn, setGroupBy } = tablePreferences;
+  const columns = COLUMNS.filter(column => !hiddenColumns.includes(column.key));
+
+  // Only the rows around the visible part of the table are rendered
+  // Grouped lists get a header row per group; with tags an event shows up under each of its tags
+  const rows = useMemo(() => (groupBy
+      ? groupEvents(events, groupBy, locale).flatMap(group => [
+        { key: `grupo:${group.key}`, group },
+        ...group.events.map(event => ({ key: `${group.key}:${eventKey(event)}`, event }))
+      ])
+      : events.map(event => ({ key: eventKey(event), event }))), [events, groupBy, locale]);
+  const rowKeys = useMemo(() => rows.map(row => row.key), [rows]);
+  // After a failed page the next one waits for the "load more" button instead of retrying on every scroll
+  const virtualRows = useVirtualRows({ keys: rowKeys, onEndReached: loadMoreFailed ? undefined : loadMore });
+
+  // Roving tabindex: Tab enters the table on one event row and the arrows move between rows
+  const eventRowKeys = useMemo(() => rows.filter(row => row.event).map(row => row.key), [rows]);
+  const tabbableRowKey = eventRowKeys.includes(activeRowKey) ? activeRowKey : eventRowKeys[0];
+
+  const findRow = (key) =>
+      [...tableRef.current.querySelectorAll('tr[data-row-key]')].find(row => row.dataset.rowKey === String(key));
+
+  // A row outside the rendered window is scrolled into it first and focused after the next render
+  useEffect(() => {
+    if (pendingFocusRef.current === null) return;
+    const row = findRow(pendingFocusRef.current);
+    if (row) {
+      pendingFocusRef.current = null;
+      row.focus();
+    }
+  });
+
+  const focusRow = (key) => {
+    setActiveRowKey(key);
+    const row = findRow(key);
+    if (row) {
+      row.focus();
+    } else {
+      pendingFocusRef.current = key;
+      virtualRows.scrollToIndex(rowKeys.indexOf(key));
+    }
+  };
+
+  // Only keys pressed on the row itself; the links and buttons inside it keep their own behavior
+  const handleRowKeyDown = (e, key, event) => {
+    if (e.target !== e.currentTarget) return;
+    if (ROW_NAVIGATION_KEYS[e.key]) {
+      e.preventDefault();
+      const index = ROW_NAVIGATION_KEYS[e.key](eventRowKeys.indexOf(key), eventRowKeys.length);
+      focusRow(eventRowKeys[Math.max(0, Math.min(index, eventRowKeys.length - 1))]);
+    } else if (e.key === 'Enter' || e.key === ' ') {
+      e.preventDefault();
+      onToggleEvent(event);
+    }
+  };
+
+  // Exports always cover the filtered list, in the order shown in the table
+  const exportFilename = (extension) => `eventos-${format(new Date(), 'yyyy-MM-dd')}.${extension}`;
+
+  const exportFilteredEvents = () => {
+    downloadICalendar(events, exportFilename('ics'));
+  };
+
+  // Parse the chosen file and open the preview; nothing is created before confirming
+  const handleIcsFile = async (e) => {
+    const file = e.target.files[0];
+    e.target.value = '';
+    if (!file) return;
+    try {
+      const items = parseICalendar(await file.text());
+      if (items.length === 0) {
+        notify.error(t('list.noEventsInFile'));
+        return;
+      }
+      setIcsImport({ filename: file.name, items });
+    } catch (err) {
+      // Errors raised by the parser carry a code with its own message in the catalog
+      const message = err.code ? t(`ics.${err.code}`) : err.message;
+      notify.error(t('list.readFileFailed', { filename: file.name, message }));
+    }
+  };
+
+  // commentsId identifies the expandable comments row, referenced by the button that toggles it
+  const renderCell = (key, event, commentsId) => {
+    switch (key) {
+      case 'nome': {
+        const match = filters.searchTerm ? searchEvent(event, filters.searchTerm) : null;
+        return (
+            <>
+              <Link to={eventPath(event)} className="text-blue-700 hover:underline">
+                <Highlight text={event.nome || t('common.unnamedEvent')} query={filters.searchTerm} />
+              </Link>
+              {event.ocorrencia && (
+                  <span className="ml-2 text-gray-500" title={t('list.recurring')} aria-label={t('list.recurring')}>↻</span>
+              )}
+              {event.pendente && (
+                  <span className="ml-2 text-xs px-2 py-1 rounded bg-yellow-100 text-yellow-800">{t('common.pending')}</span>
+              )}
+              {match && match.commentMatches > 0 && (
+                  <div className="text-xs text-gray-500">{t('list.commentMatches', { count: match.commentMatches })}</div>
+              )}
+            </>
+        );
+      }
+      case 'categoria':
+        return event.categoria || '';
+      case 'tags':
+        return (
+            <div className="flex flex-wrap gap-1">
+              {getEventTags(event).map(tag => (
+                  <button
+                      key={tag}
+                      onClick={() => updateFilter('tag', tag)}
+                      title={t('list.filterByTag', { tag })}
+                      className="text-xs px-2 py-0.5 rounded-full bg-gray-200 hover:bg-gray-300"
+                  >
+                    {tag}
+                  </button>
+              ))}
+            </div>
+        );
+      case 'local':
+        return event.local || '';
+      case 'data':
+        return formatDate(event.data);
+      case 'termino':
+        return formatDate(getEventEndDate(event));
+      case 'duracao':
+        return formatDuration(event.duracao_qtd, event.duracao_tipo);
+      case 'classificacao':
+        return (
+            <div className="flex items-center">
+              <span className="text-yellow-500 mr-1">★</span>
+              <span>{formatRating(getAverageRating(event))}</span>
+            </div>
+        );
+      case 'comentarios':
+        return formatNumber(getCommentCount(event));
+      default:
+        return (
+            <div className="flex gap-2">
+              <button
+                  onClick={() => onToggleEvent(event)}
+                  aria-expanded={expandedEventId === eventKey(event)}
+                  aria-controls={expandedEventId === eventKey(event) ? commentsId : undefined}
+                  className="px-3 py-1 bg-blue-500 text-white rounded hover:bg-blue-600 transition"
+              >
+                {expandedEventId === eventKey(event) ? t('list.hideComments') : t('list.showComments')}
+              </button>
+              {newCommentCounts[event.id] > 0 && (
+                  <span className="self-center text-xs px-2 py-1 rounded-full bg-blue-100 text-blue-800">
+                    {t('list.newComments', { count: newCommentCounts[event.id] })}
+                  </span>
+              )}
+              {/* Only the owner can change an event, and only once it reached the server */}
+              {canEdit(event) && !event.pendente && event.ocorrencia && (
+                  <>
+                  <button
+                      onClick={() => onEditEvent(event, event.ocorrencia)}
+                      className="px-3 py-1 bg-yellow-500 text-white rounded hover:bg-yellow-600 transition"
+                  >
+                    {t('list.editOccurrence')}
+                  </button>
+                  <button
+                      onClick={() => onEditEvent(event)}
+                      className="px-3 py-1 bg-yellow-500 text-white rounded hover:bg-yellow-600 transition"
+                  >
+                    {t('list.editSeries')}
+                  </button>
+                  <button
+                      onClick={() => onDeleteOccurrence(event)}
+                      className="px-3 py-1 bg-red-500 text-white rounded hover:bg-red-600 transition"
+                  >
+                    {t('list.deleteOccurrence')}
+                  </button>
+                  <button
+                      onClick={() => onDeleteEvent(event)}
+                      className="px-3 py-1 bg-red-500 text-white rounded hover:bg-red-600 transition"
+                  >
+                    {t('list.deleteSeries')}
+                  </button>
+                  </>
+              )}
+              {canEdit(event) && !event.pendente && !event.ocorrencia && (
+                  <>
+                  <button
+                      onClick={() => onEditEvent(event)}
+                      className="px-3 py-1 bg-yellow-500 text-white rounded hover:bg-yellow-600 transition"
+                  >
+                    {t('common.edit')}
+                  </button>
+                  <button
+                      onClick={() => onDeleteEvent(event)}
+                      className="px-3 py-1 bg-red-500 text-white rounded hover:bg-red-600 transition"
+                  >
+                    {t('common.delete')}
+                  </button>
+                  </>
+              )}
+              <button
+                  onClick={() => downloadICalendar([event], `evento-${eventKey(event)}.ics`)}
+                  title={t('list.icsTitle')}
+                  className="px-3 py-1 bg-gray-300 text-gray-800 rounded hover:bg-gray-400 transition"
+              >
+                .ics
+              </button>
+            </div>
+        );
+    }
+  };
+
+  return (
+      <>
+        {/* Filters */}
+        <EventFilters filters={filters} options={filterOptions} updateFilter={updateFilter} resetFilters={resetFilters} />
+
+        {/* Column picker, export / import */}
+        <div className="mb-4 flex flex-wrap justify-end items-center gap-2">
+          <details className="relative">
+            <summary className="px-4 py-2 bg-gray-300 text-gray-800 rounded hover:bg-gray-400 cursor-pointer list-none">
+              {t('list.columns')}
+            </summary>
+            <div className="absolute left-0 mt-1 z-20 w-48 bg-white rounded shadow-lg border p-2 space-y-1">
+              {COLUMNS.filter(column => OPTIONAL_COLUMNS.includes(column.key)).map(column => (
+                  <label key={column.key} className="flex items-center text-sm">
+                    <input
+                        type="checkbox"
+                        checked={!hiddenColumns.includes(column.key)}
+                        onChange={() => toggleColumn(column.key)}
+                        className="mr-2"
+                    />
+                    {t(column.label)}
+                  </label>
+              ))}
+            </div>
+          </details>
+          <label className="flex items-center text-sm mr-auto">
+            {t('list.groupBy')}
+            <select
+                value={groupBy}
+                onChange={(e) => setGroupBy(e.target.value)}
+                className="ml-2 p-2 border rounded"
+            >
+              <option value="">{t('list.noGrouping')}</option>
+              {GROUP_OPTIONS.map(option => (
+                  <option key={option} value={option}>{t(`list.groupOptions.${option}`)}</option>
+              ))}
+            </select>
+          </label>
+          <label className="flex items-center text-sm mr-2">
+            <input
+                type="checkbox"
+                checked={exportComments}
+                onChange={(e) => setExportComments(e.target.checked)}
+                className="mr-2"
+            />
+            {t('list.includeComments')}
+          </label>
+          <button
+              onClick={() => downloadEventsCsv(events, exportFilename('csv'), { includeComments: exportComments })}
+              disabled={events.length === 0}
+              className="px-4 py-2 bg-gray-300 text-gray-800 rounded hover:bg-gray-400 disabled:opacity-50"
+          >
+            {t('list.exportCsv')}
+          </button>
+          <button
+              onClick={() => downloadEventsJson(events, exportFilename('json'), { includeComments: exportComments })}
+              disabled={events.length === 0}
+              className="px-4 py-2 bg-gray-300 text-gray-800 rounded hover:bg-gray-400 disabled:opacity-50"
+          >
+            {t('list.exportJson')}
+          </button>
+          <button
+              onClick={exportFilteredEvents}
+              disabled={events.length === 0}
+              className="px-4 py-2 bg-gray-300 text-gray-800 rounded hover:bg-gray-400 disabled:opacity-50"
+          >
+            {t('list.exportIcs')}
+          </button>
+          {/* Imported events are created in the user's name */}
+          {user && (
+              <label className="px-4 py-2 bg-gray-300 text-gray-800 rounded hover:bg-gray-400 cursor-pointer">
+                {t('list.importIcs')}
+                <input type="file" accept=".ics,text/calendar" onChange={handleIcsFile} className="hidden" />
+              </label>
+          )}
+        </div>
+
+        {icsImport && (
+            <IcsImportModal
+                filename={icsImport.filename}
+                items={icsImport.items}
+                onImport={onImportEvents}
+                onClose={() => setIcsImport(null)}
+            />
+        )}
+
+        {/* Events Table */}
+        {/* Announced by screen readers whenever the list changes */}
+        <div role="status" className="sr-only">
+          {refreshing ? t('common.loading') : t('list.resultCount', { count: events.length })}
+        </div>
+
+        <div ref={virtualRows.containerRef} className="overflow-auto max-h-[75vh] bg-white rounded-lg shadow">
+          <table ref={tableRef} className="min-w-full">
+            <caption className="sr-only">{t('list.keyboardHint')}</caption>
+            <thead className="bg-gray-100 sticky top-0 z-10">
+            <tr>
+              {columns.map(column => {
+                const sortIndex = sort.findIndex(item => item.key === column.key);
+                const sorted = column.sortable && sortIndex !== -1 ? sort[sortIndex] : null;
+                return (
+                    <th
+                        key={column.key}
+                        aria-sort={sorted && sortIndex === 0
+                            ? (sorted.direction === 'asc' ? 'ascending' : 'descending')
+                            : undefined}
+                        className="py-3 px-4 border-b text-left font-semibold whitespace-nowrap"
+                    >
+                      {column.sortable ? (
+                          <button
+                              onClick={() => sortBy(column.key)}
+                              title={t('list.sortBy', { column: t(column.label) })}
+                              className="flex items-center gap-1 font-semibold hover:text-blue-700"
+                          >
+                            {t(column.label)}
+                            {sorted && (
+                                <span className={sortIndex === 0 ? 'text-blue-700' : 'text-gray-400 text-xs'}>
+                                  {sorted.direction === 'asc' ? '▲' : '▼'}
+                                  {sortIndex > 0 && <sup>{sortIndex + 1}</sup>}
+                                </span>
+                            )}
+                          </button>
+                      ) : t(column.label)}
+                    </th>
+                );
+              })}
+            </tr>
+            </thead>
+            {virtualRows.paddingTop > 0 && (
+                <tbody>
+                <tr style={{ height: virtualRows.paddingTop }}><td colSpan={columns.length} /></tr>
+                </tbody>
+            )}
+            {events.length > 0 ? (
+                rows.slice(virtualRows.start, virtualRows.end).map(({ key, group, event }, offset) => group ? (
+                    <tbody key={key} ref={node => virtualRows.measureRow(key, node)}>
+                      <tr>
+                        <th colSpan={columns.length} className="py-2 px-4 border-b bg-gray-50 text-left">
+                          {group.label ?? t(`list.withoutGroup.${groupBy}`)}
+                          <span className="ml-2 font-normal text-gray-500">({formatNumber(group.events.length)})</span>
+                        </th>
+                      </tr>
+                    </tbody>
+                ) : (
+                    <tbody key={key} ref={node => virtualRows.measureRow(key, node)}>
+                      <tr
+                          data-row-key={key}
+                          tabIndex={key === tabbableRowKey ? 0 : -1}
+                          onFocus={(e) => e.target === e.currentTarget && setActiveRowKey(key)}
+                          onKeyDown={(e) => handleRowKeyDown(e, key, event)}
+                          className="hover:bg-gray-50 transition focus:outline-none focus-visible:bg-blue-50
+                            focus-visible:outline focus-visible:outline-2 focus-visible:-outline-offset-2 focus-visible:outline-blue-500"
+                      >
+                        {columns.map(column => (
+                            <td key={column.key} className="py-3 px-4 border-b">
+                              {renderCell(column.key, event, `${tableId}-comentarios-${virtualRows.start + offset}`)}
+                            </td>
+                        ))}
+                      </tr>
+
+                      {/* Comments Section (Expandable) */}
+                      {expandedEventId === eventKey(event) && (
+                          <tr id={`${tableId}-comentarios-${virtualRows.start + offset}`}>
+                            <td colSpan={columns.length} className="py-4 px-4 border-b bg-gray-50">
+                              <CommentsSection event={event} highlight={filters.searchTerm} {...commentActions} />
+                            </td>
+                          </tr>
+                      )}
+                    </tbody>
+                ))
+            ) : (
+                <tbody>
+                <tr>
+                  <td colSpan={columns.length} className="py-4 px-4 text-center text-gray-500">
+                    {refreshing ? t('common.loading') : t('list.empty')}
+                  </td>
+                </tr>
+                </tbody>
+            )}
+            {virtualRows.paddingBottom > 0 && (
+                <tbody>
+                <tr style={{ height: virtualRows.paddingBottom }}><td colSpan={columns.length} /></tr>
+                </tbody>
+            )}
+          </table>
+
+          {/* Infinite scroll footer */}
+          {(hasMore || loadingMore) && (
+              <div className="p-4 text-center">
+                {loadingMore ? (
+                    <span role="status" className="text-gray-500">{t('common.loading')}</span>
+                ) : (
+                    <button
+                        onClick={loadMore}
+                        className="px-4 py-2 bg-gray-300 text-gray-800 rounded hover:bg-gray-400"
+                    >
+                      {t('list.loadMore')}
+                    </button>
+                )}
+              </div>
+          )}
+        </div>
+      </>
+  );
+}
+
+export default EventsPage;
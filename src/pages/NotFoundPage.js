@@ -0,0 +1,18 @@
+import React from 'react';
+import { Link } from 'react-router-dom';
+import { useI18n } from '../i18n/I18nProvider';
+
+function NotFoundPage({ message }) {
+  const { t } = useI18n();
+  return (
+      <div className="bg-white p-8 rounded-lg shadow text-center">
+        <h2 className="text-xl font-bold mb-2">404</h2>
+        <p className="text-gray-600 mb-4">{message || t('notFound.message')}</p>
+        <Link to="/" className="px-4 py-2 bg-blue-500 text-white rounded hover:bg-blue-600 transition">
+          {t('common.backToEvents')}
+        </Link>
+      </div>
+  );
+}
+
+export default NotFoundPage;
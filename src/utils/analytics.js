@@ -0,0 +1,86 @@
+import { addDays, addMonths, differenceInCalendarDays, format, isValid, parseISO, startOfDay, startOfMonth } from 'date-fns';
+import { DURATION_TYPES, getEventStartDate } from './eventDates';
+import { getAverageRating, ratedComments, visibleComments } from './ratings';
+
+// Comentários com data_criacao entram no período em que foram feitos; sem ela, na data do evento
+export const getCommentDate = (comment, event) => {
+  if (comment && comment.data_criacao) {
+    const created = parseISO(comment.data_criacao);
+    if (isValid(created)) return created;
+  }
+  return getEventStartDate(event);
+};
+
+/**
+ * O painel recebe as séries já expandidas, e os comentários da série toda aparecem em cada ocorrência.
+ * Aqui cada série volta a ser um item só (sem ocorrencia), com os comentários de todas as ocorrências uma vez.
+ */
+export const groupSeries = (events) => {
+  const groups = new Map();
+  events.forEach(event => {
+    const { ocorrencia, ...fields } = event;
+    const key = ocorrencia ? String(event.id) : event;
+    const group = groups.get(key);
+    if (!group) {
+      groups.set(key, ocorrencia ? fields : event);
+      return;
+    }
+    const known = new Set((group.comentarios || []).map(comment => comment.id));
+    const added = (event.comentarios || []).filter(comment => !known.has(comment.id));
+    if (added.length > 0) group.comentarios = [...(group.comentarios || []), ...added];
+  });
+  return [...groups.values()];
+};
+
+// Eventos com pelo menos um comentário visível, da maior para a menor média (ou o contrário)
+export const rankEventsByRating = (events, { limit = 5, ascending = false } = {}) => events
+    .map(event => ({ event, average: getAverageRating(event), count: ratedComments(event).length }))
+    .filter(item => item.average !== null)
+    .sort((a, b) => (ascending ? a.average - b.average : b.average - a.average) || b.count - a.count)
+    .slice(0, limit);
+
+// Média de todas as notas dos eventos de cada duracao_tipo (respostas não contam); tipos sem notas têm média null
+export const averageByDurationType = (events) => DURATION_TYPES.map(type => {
+  const ratings = events
+      .filter(event => event.duracao_tipo === type)
+      .flatMap(event => ratedComments(event).map(comment => Number(comment.classificacao) || 0));
+  return {
+    type,
+    count: ratings.length,
+    average: ratings.length ? ratings.reduce((acc, rating) => acc + rating, 0) / ratings.length : null
+  };
+});
+
+/**
+ * Quantidade de comentários visíveis por período, do mais antigo ao mais recente, sem lacunas.
+ * Intervalos de até 31 dias são agrupados por dia; os maiores, por mês.
+ * Devolve { daily, buckets: [{ date, key, count }] }, onde date é o início do período.
+ */
+export const commentVolume = (events) => {
+  // Comments about a whole series show up under each of its occurrences; they count once
+  const commentDates = new Map();
+  events.forEach(event => visibleComments(event).forEach(comment => {
+    if (!commentDates.has(comment.id)) commentDates.set(comment.id, getCommentDate(comment, event));
+  }));
+  const dates = [...commentDates.values()].filter(Boolean);
+  if (dates.length === 0) return { daily: true, buckets: [] };
+
+  const first = new Date(Math.min(...dates));
+  const last = new Date(Math.max(...dates));
+  const daily = differenceInCalendarDays(last, first) < 31;
+  const bucketStart = daily ? startOfDay : startOfMonth;
+  const keyOf = (date) => format(date, daily ? 'yyyy-MM-dd' : 'yyyy-MM');
+
+  const counts = new Map();
+  dates.forEach(date => {
+    const key = keyOf(date);
+    counts.set(key, (counts.get(key) || 0) + 1);
+  });
+
+  const buckets = [];
+  for (let date = bucketStart(first); date <= last; date = daily ? addDays(date, 1) : addMonths(date, 1)) {
+    const key = keyOf(date);
+    buckets.push({ date, key, count: counts.get(key) || 0 });
+  }
+  return { daily, buckets };
+};
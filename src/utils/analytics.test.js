@@ -0,0 +1,38 @@
+import { averageByDurationType, groupSeries, rankEventsByRating } from './analytics';
+import { expandRecurringEvents } from './recurrence';
+
+const series = {
+  id: 1,
+  nome: 'Aula',
+  data: '2024-06-03T10:00',
+  duracao_tipo: 'horas',
+  recorrencia: { frequencia: 'semanal', intervalo: 1, ocorrencias: 4 },
+  comentarios: [
+    { id: 10, classificacao: 5 },
+    { id: 11, classificacao: 3, ocorrencia: '2024-06-10' }
+  ]
+};
+const single = { id: 2, nome: 'Festa', data: '2024-06-05', duracao_tipo: 'horas', comentarios: [{ id: 20, classificacao: 2 }] };
+const events = expandRecurringEvents([series, single]);
+
+describe('groupSeries', () => {
+  test('turns the occurrences back into one item with each comment once', () => {
+    const grouped = groupSeries(events);
+    expect(grouped).toHaveLength(2);
+    expect(grouped[0]).not.toHaveProperty('ocorrencia');
+    expect(grouped[0].comentarios.map(comment => comment.id)).toEqual([10, 11]);
+    expect(grouped[1]).toBe(single);
+  });
+});
+
+describe('ratings per series', () => {
+  test('rank each series once', () => {
+    const ranking = rankEventsByRating(groupSeries(events));
+    expect(ranking.map(({ event, average, count }) => [event.id, average, count])).toEqual([[1, 4, 2], [2, 2, 1]]);
+  });
+
+  test('count each rating once in the duration averages', () => {
+    const hours = averageByDurationType(groupSeries(events)).find(item => item.type === 'horas');
+    expect(hours).toEqual({ type: 'horas', count: 3, average: 10 / 3 });
+  });
+});
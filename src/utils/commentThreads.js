@@ -0,0 +1,48 @@
+import { isReply } from './ratings';
+
+/**
+ * Agrupa os comentários em conversas: cada item é { comment, replies }, com replies no mesmo formato.
+ * Respostas cujo comentário pai não está na lista (removido ou oculto) sobem para o primeiro nível,
+ * para nenhuma resposta sumir junto com o pai. O mesmo vale para comentários que são ancestrais
+ * de si mesmos (A responde B, que responde A), que de outro modo não teriam por onde aparecer.
+ */
+export const buildThreads = (comments) => {
+  const byId = new Map(comments.map(comment => [String(comment.id), comment]));
+  const parentOf = (comment) =>
+      isReply(comment) && byId.has(String(comment.parent)) ? String(comment.parent) : null;
+
+  // Follows the parents until the top; coming back to the comment means a cycle
+  const inCycle = (comment) => {
+    const id = String(comment.id);
+    const visited = new Set();
+    let current = parentOf(comment);
+    while (current !== null && !visited.has(current)) {
+      if (current === id) return true;
+      visited.add(current);
+      current = parentOf(byId.get(current));
+    }
+    return false;
+  };
+
+  const children = new Map();
+  const roots = [];
+
+  comments.forEach(comment => {
+    const parentId = parentOf(comment);
+    if (parentId === null || inCycle(comment)) {
+      roots.push(comment);
+      return;
+    }
+    children.set(parentId, [...(children.get(parentId) || []), comment]);
+  });
+
+  const toThread = (comment) => ({
+    comment,
+    replies: (children.get(String(comment.id)) || []).map(toThread)
+  });
+  return roots.map(toThread);
+};
+
+// Total de respostas de uma conversa, incluindo as respostas às respostas
+export const countReplies = (thread) =>
+    thread.replies.reduce((acc, reply) => acc + 1 + countReplies(reply), 0);
@@ -0,0 +1,39 @@
+import { buildThreads, countReplies } from './commentThreads';
+
+const ids = (threads) => threads.map(thread => thread.comment.id);
+
+describe('buildThreads', () => {
+  test('nests replies under their parent', () => {
+    const threads = buildThreads([
+      { id: 1 },
+      { id: 2, parent: 1 },
+      { id: 3, parent: 2 },
+      { id: 4 }
+    ]);
+    expect(ids(threads)).toEqual([1, 4]);
+    expect(ids(threads[0].replies)).toEqual([2]);
+    expect(ids(threads[0].replies[0].replies)).toEqual([3]);
+    expect(countReplies(threads[0])).toBe(2);
+  });
+
+  test('moves replies to a missing parent up to the top level', () => {
+    expect(ids(buildThreads([{ id: 2, parent: 1 }, { id: 3, parent: '2' }]))).toEqual([2]);
+  });
+
+  test('keeps comments that are their own parent', () => {
+    expect(ids(buildThreads([{ id: 1, parent: 1 }]))).toEqual([1]);
+  });
+
+  test('keeps every comment of a longer parent cycle', () => {
+    const threads = buildThreads([
+      { id: 1, parent: 2 },
+      { id: 2, parent: 1 },
+      { id: 3, parent: 1 },
+      { id: 4, parent: 6 },
+      { id: 5, parent: 4 },
+      { id: 6, parent: 5 }
+    ]);
+    expect(ids(threads)).toEqual([1, 2, 4, 5, 6]);
+    expect(ids(threads[0].replies)).toEqual([3]);
+  });
+});
@@ -0,0 +1,57 @@
+import { addDays, addHours, addMonths, addWeeks, addYears, isValid, parseISO } from 'date-fns';
+
+// duracao_tipo -> função do date-fns que soma a duração à data de início
+const durationAdders = {
+  horas: addHours,
+  dias: addDays,
+  semanas: addWeeks,
+  meses: addMonths,
+  anos: addYears
+};
+
+export const DURATION_TYPES = Object.keys(durationAdders);
+
+export const getEventStartDate = (event) => {
+  if (!event || !event.data) return null;
+  const start = parseISO(event.data);
+  return isValid(start) ? start : null;
+};
+
+// O formulário só edita o dia: '2024-05-09' + horário de '2024-05-01T10:00' -> '2024-05-09T10:00'
+export const withTimeOf = (day, source) =>
+    day && String(source).includes('T') ? String(day).slice(0, 10) + String(source).slice(10) : day;
+
+// Data de término calculada a partir de data + duracao_qtd/duracao_tipo
+export const getEventEndDate = (event) => {
+  const start = getEventStartDate(event);
+  if (!start) return null;
+
+  const adder = durationAdders[event.duracao_tipo];
+  const amount = Number(event.duracao_qtd);
+  if (!adder || !amount) return start;
+  return adder(start, amount);
+};
+
+// 'upcoming' antes do início, 'past' depois do término, 'ongoing' entre os dois
+export const getEventStatus = (event, now = new Date()) => {
+  const start = getEventStartDate(event);
+  if (!start) return null;
+  if (start > now) return 'upcoming';
+  return getEventEndDate(event) < now ? 'past' : 'ongoing';
+};
+
+// O término é exclusivo: um evento de 2 dias começando em 01/05 ocupa 01/05 e 02/05
+export const eventOverlaps = (event, rangeStart, rangeEnd) => {
+  const start = getEventStartDate(event);
+  if (!start) return false;
+  const end = getEventEndDate(event);
+  return start <= rangeEnd && (end > rangeStart || start >= rangeStart);
+};
+
+// Último instante ocupado pelo evento (o término é exclusivo)
+export const getEventLastMoment = (event) => {
+  const start = getEventStartDate(event);
+  const end = getEventEndDate(event);
+  if (!start) return null;
+  return end > start ? new Date(end.getTime() - 1) : start;
+};
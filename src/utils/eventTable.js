@@ -0,0 +1,97 @@
+import { getEventEndDate, getEventStartDate } from './eventDates';
+import { getEventTags, uniqueValues } from './eventTags';
+import { getAverageRating, getCommentCount } from './ratings';
+import { normalizeText } from './search';
+
+// Ordenação, colunas configuráveis e agrupamento da tabela de eventos
+
+// Valor usado para ordenar cada coluna; null (sem nome, sem data, sem notas) vai sempre para o fim
+const sortValues = {
+  nome: (event) => event.nome || null,
+  categoria: (event) => event.categoria || null,
+  local: (event) => event.local || null,
+  data: getEventStartDate,
+  termino: getEventEndDate,
+  duracao: (event) => {
+    const start = getEventStartDate(event);
+    return start ? getEventEndDate(event) - start : null;
+  },
+  classificacao: getAverageRating,
+  comentarios: getCommentCount
+};
+
+export const SORT_KEYS = Object.keys(sortValues);
+
+// A primeira entrada decide a ordem; a segunda desempata
+export const DEFAULT_SORT = [{ key: 'data', direction: 'desc' }];
+
+// Colunas que podem ser ocultadas (nome e ações ficam sempre) e as que começam ocultas
+export const OPTIONAL_COLUMNS = ['categoria', 'tags', 'local', 'data', 'termino', 'duracao', 'classificacao', 'comentarios'];
+export const DEFAULT_HIDDEN_COLUMNS = ['local', 'termino', 'comentarios'];
+
+// Textos começam em ordem alfabética; datas e números, do maior para o menor
+const defaultDirection = (key) => (['nome', 'categoria', 'local'].includes(key) ? 'asc' : 'desc');
+
+// Clicar na coluna principal inverte a direção; outra coluna vira a principal e a anterior passa a desempatar
+export const nextSort = (sort, key) => {
+  const [primary] = sort;
+  if (primary && primary.key === key) {
+    return [{ key, direction: primary.direction === 'asc' ? 'desc' : 'asc' }, ...sort.slice(1)];
+  }
+  return primary ? [{ key, direction: defaultDirection(key) }, primary] : [{ key, direction: defaultDirection(key) }];
+};
+
+// Comparador para Array.sort; nomes seguem as regras do idioma (acentos, números dentro do texto)
+export const compareEvents = (sort, locale) => {
+  const collator = new Intl.Collator(locale, { sensitivity: 'base', numeric: true });
+
+  return (a, b) => {
+    for (const { key, direction } of sort) {
+      const valueA = sortValues[key](a);
+      const valueB = sortValues[key](b);
+      if (valueA === null && valueB === null) continue;
+      if (valueA === null) return 1;
+      if (valueB === null) return -1;
+
+      const result = typeof valueA === 'string' ? collator.compare(valueA, valueB) : valueA - valueB;
+      if (result !== 0) return direction === 'asc' ? result : -result;
+    }
+    return 0;
+  };
+};
+
+// Valores pelos quais a lista pode ser agrupada
+const groupValues = {
+  categoria: (event) => [event.categoria],
+  tag: getEventTags,
+  local: (event) => [event.local]
+};
+
+export const GROUP_OPTIONS = Object.keys(groupValues);
+
+/**
+ * Separa os eventos em grupos [{ key, label, events }], mantendo a ordem recebida dentro de cada grupo.
+ * Com tags, um evento aparece em cada uma das suas tags. Os grupos seguem a ordem alfabética;
+ * os eventos sem valor ficam num último grupo, com label null.
+ */
+export const groupEvents = (events, groupBy, locale) => {
+  const collator = new Intl.Collator(locale, { sensitivity: 'base', numeric: true });
+  const groups = new Map();
+  const withoutValue = [];
+
+  events.forEach(event => {
+    const values = uniqueValues(groupValues[groupBy](event).map(value => (value || '').trim()).filter(Boolean));
+    if (values.length === 0) {
+      withoutValue.push(event);
+      return;
+    }
+    values.forEach(value => {
+      const key = normalizeText(value);
+      if (!groups.has(key)) groups.set(key, { key, label: value, events: [] });
+      groups.get(key).events.push(event);
+    });
+  });
+
+  const sorted = [...groups.values()].sort((a, b) => collator.compare(a.label, b.label));
+  return withoutValue.length > 0 ? [...sorted, { key: '', label: null, events: withoutValue }] : sorted;
+};
@@ -0,0 +1,31 @@
+import { normalizeText } from './search';
+
+// Categoria, tags e local dos eventos: valores livres, comparados sem acentos nem maiúsculas
+
+export const sameValue = (a, b) => normalizeText(a) === normalizeText(b);
+
+// Sem repetições que só mudam acentos ou maiúsculas; fica a primeira grafia encontrada
+export const uniqueValues = (values) => {
+  const seen = new Set();
+  return values.filter(value => {
+    const key = normalizeText(value);
+    if (seen.has(key)) return false;
+    seen.add(key);
+    return true;
+  });
+};
+
+// tags chega como array; servidores que guardam texto mandam 'a, b'
+export const getEventTags = (event) => {
+  const raw = event && event.tags;
+  const list = Array.isArray(raw) ? raw : typeof raw === 'string' ? raw.split(',') : [];
+  return uniqueValues(list.map(tag => String(tag).trim()).filter(Boolean));
+};
+
+// Categorias e tags já usadas, em ordem alfabética, para as sugestões do formulário e os filtros
+export const collectEventOptions = (events, locale) => {
+  const collator = new Intl.Collator(locale, { sensitivity: 'base' });
+  const categories = uniqueValues(events.map(event => (event.categoria || '').trim()).filter(Boolean));
+  const tags = uniqueValues(events.flatMap(getEventTags));
+  return { categories: categories.sort(collator.compare), tags: tags.sort(collator.compare) };
+};
@@ -0,0 +1,89 @@
+import { downloadFile } from './download';
+import { getEventTags } from './eventTags';
+import { getAverageRating, getCommentCount, visibleComments } from './ratings';
+
+// Exportação CSV/JSON dos eventos filtrados para relatórios
+
+// Sem o BOM o Excel abre o arquivo como Latin-1 e estraga os acentos
+const UTF8_BOM = '\uFEFF';
+
+const EVENT_COLUMNS = [
+  'id', 'ocorrencia', 'nome', 'categoria', 'tags', 'local', 'descricao', 'data', 'duracao_qtd', 'duracao_tipo',
+  'classificacao_media', 'total_comentarios'
+];
+const COMMENT_COLUMNS = ['comentario_id', 'resposta_a', 'nome_usuario', 'comentario', 'classificacao'];
+
+const summarizeEvent = (event) => {
+  const average = getAverageRating(event);
+  return {
+    id: event.id,
+    ocorrencia: event.ocorrencia || null,
+    nome: event.nome,
+    categoria: event.categoria || null,
+    tags: getEventTags(event).join(', '),
+    local: event.local || null,
+    descricao: event.descricao || null,
+    data: event.data,
+    duracao_qtd: event.duracao_qtd,
+    duracao_tipo: event.duracao_tipo,
+    classificacao_media: average === null ? null : Number(average.toFixed(2)),
+    total_comentarios: getCommentCount(event)
+  };
+};
+
+const summarizeComment = (comment) => ({
+  comentario_id: comment.id,
+  resposta_a: comment.parent ?? null,
+  nome_usuario: comment.nome_usuario,
+  comentario: comment.comentario,
+  classificacao: comment.classificacao
+});
+
+// Texto que começa como fórmula (=, +, -, @, tab ou CR) ganha um ' na frente para a planilha não executá-lo.
+// Campos com aspas, separador ou quebra de linha vão entre aspas, com as aspas internas duplicadas
+const escapeCsvValue = (value) => {
+  if (value === null || value === undefined) return '';
+  const text = typeof value === 'string' && /^[=+\-@\t\r]/.test(value) ? `'${value}` : String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+const toCsvLine = (values) => values.map(escapeCsvValue).join(',');
+
+/**
+ * Uma linha por evento; com includeComments, uma linha por comentário
+ * (eventos sem comentários continuam com uma linha, com as colunas do comentário vazias).
+ */
+export const eventsToCsv = (events, { includeComments = false } = {}) => {
+  const columns = includeComments ? [...EVENT_COLUMNS, ...COMMENT_COLUMNS] : EVENT_COLUMNS;
+  const lines = [toCsvLine(columns)];
+
+  events.forEach(event => {
+    const summary = summarizeEvent(event);
+    const comments = includeComments ? visibleComments(event) : [];
+
+    if (comments.length === 0) {
+      lines.push(toCsvLine(columns.map(column => summary[column])));
+      return;
+    }
+    comments.forEach(comment => {
+      const row = { ...summary, ...summarizeComment(comment) };
+      lines.push(toCsvLine(columns.map(column => row[column])));
+    });
+  });
+
+  return UTF8_BOM + lines.join('\r\n') + '\r\n';
+};
+
+export const eventsToJson = (events, { includeComments = false } = {}) => JSON.stringify(
+    events.map(event => includeComments
+        ? { ...summarizeEvent(event), comentarios: visibleComments(event).map(summarizeComment) }
+        : summarizeEvent(event)),
+    null,
+    2
+);
+
+export const downloadEventsCsv = (events, filename, options) =>
+    downloadFile(filename, eventsToCsv(events, options), 'text/csv;charset=utf-8');
+
+export const downloadEventsJson = (events, filename, options) =>
+    downloadFile(filename, eventsToJson(events, options), 'application/json;charset=utf-8');
@@ -0,0 +1,51 @@
+import { eventsToCsv, eventsToJson } from './exportData';
+
+const event = {
+  id: 1,
+  nome: 'Reunião "geral", anual',
+  tags: ['trabalho', 'time'],
+  descricao: 'Linha 1\nLinha 2',
+  data: '2024-05-01',
+  duracao_qtd: 2,
+  duracao_tipo: 'dias',
+  comentarios: [
+    { id: 9, nome_usuario: 'Ana', comentario: 'bom', classificacao: 4 },
+    { id: 10, nome_usuario: 'Bia', comentario: 'oculto', classificacao: 0, oculto: true },
+    { id: 11, nome_usuario: 'Caio', comentario: 'concordo', parent: 9 }
+  ]
+};
+
+const rows = (csv) => csv.replace(/^﻿/, '').split('\r\n');
+
+describe('eventsToCsv', () => {
+  test('starts with a BOM and quotes values with quotes, commas or line breaks', () => {
+    const csv = eventsToCsv([event]);
+    expect(csv.startsWith('﻿')).toBe(true);
+    const [header, line] = rows(csv);
+    expect(header).toBe('id,ocorrencia,nome,categoria,tags,local,descricao,data,duracao_qtd,duracao_tipo,'
+        + 'classificacao_media,total_comentarios');
+    expect(line).toBe('1,,"Reunião ""geral"", anual",,"trabalho, time",,"Linha 1\nLinha 2",2024-05-01,2,dias,4,1');
+  });
+
+  test('keeps text that looks like a formula from running in a spreadsheet', () => {
+    const [, line] = rows(eventsToCsv([{ id: 3, nome: '=HYPERLINK("http://x")', local: '@sala', descricao: '-2+3', duracao_qtd: -1 }]));
+    expect(line).toBe('3,,"\'=HYPERLINK(""http://x"")",,,\'@sala,\'-2+3,,-1,,,0');
+  });
+
+  test('writes one line per visible comment, and keeps events without comments', () => {
+    const csv = eventsToCsv([event, { id: 2, nome: 'Festa', data: '2025-01-01', comentarios: [] }], { includeComments: true });
+    const lines = rows(csv).filter(Boolean);
+    expect(lines).toHaveLength(4);
+    expect(lines[1].endsWith(',9,,Ana,bom,4')).toBe(true);
+    expect(lines[2].endsWith(',11,9,Caio,concordo,')).toBe(true);
+    expect(lines[3].endsWith(',,,,,')).toBe(true);
+  });
+});
+
+describe('eventsToJson', () => {
+  test('nests the visible comments when asked to', () => {
+    const [exported] = JSON.parse(eventsToJson([event], { includeComments: true }));
+    expect(exported).toMatchObject({ id: 1, classificacao_media: 4, total_comentarios: 1 });
+    expect(exported.comentarios.map(comment => comment.comentario_id)).toEqual([9, 11]);
+  });
+});
@@ -0,0 +1,93 @@
+import { endOfDay, parseISO, startOfDay } from 'date-fns';
+import { getEventStartDate, getEventStatus } from './eventDates';
+import { getEventTags, sameValue } from './eventTags';
+import { getAverageRating, visibleComments } from './ratings';
+import { normalizeText, searchEvent } from './search';
+
+export const DEFAULT_FILTERS = {
+  searchTerm: '',
+  relevance: false,
+  dateFrom: '',
+  dateTo: '',
+  minRating: '',
+  durationType: '',
+  category: '',
+  tag: '',
+  location: '',
+  hasComments: false,
+  status: ''
+};
+
+// Nome de cada filtro na query string da URL
+const queryKeys = {
+  searchTerm: 'q',
+  relevance: 'relevancia',
+  dateFrom: 'de',
+  dateTo: 'ate',
+  minRating: 'nota',
+  durationType: 'duracao',
+  category: 'categoria',
+  tag: 'tag',
+  location: 'local',
+  hasComments: 'comentarios',
+  status: 'status'
+};
+
+export const parseFilters = (search) => {
+  const params = new URLSearchParams(search);
+  const filters = { ...DEFAULT_FILTERS };
+  Object.entries(queryKeys).forEach(([key, param]) => {
+    if (!params.has(param)) return;
+    filters[key] = typeof DEFAULT_FILTERS[key] === 'boolean'
+        ? params.get(param) === '1'
+        : params.get(param);
+  });
+  return filters;
+};
+
+// Só os filtros diferentes do padrão vão para a URL
+export const serializeFilters = (filters) => {
+  const params = new URLSearchParams();
+  Object.entries(queryKeys).forEach(([key, param]) => {
+    const value = filters[key];
+    if (value === DEFAULT_FILTERS[key] || value === '' || value == null) return;
+    params.set(param, typeof value === 'boolean' ? '1' : value);
+  });
+  return params.toString();
+};
+
+export const hasActiveFilters = (filters) => serializeFilters(filters) !== '';
+
+// The date range is matched against the event's start date
+export const matchesFilters = (event, filters, now = new Date()) => {
+  if (!event) return false;
+
+  // Names and comment text, ignoring accents and small typos (see utils/search)
+  if (filters.searchTerm && !searchEvent(event, filters.searchTerm)) return false;
+
+  if (filters.dateFrom || filters.dateTo) {
+    const start = getEventStartDate(event);
+    if (!start) return false;
+    if (filters.dateFrom && start < startOfDay(parseISO(filters.dateFrom))) return false;
+    if (filters.dateTo && start > endOfDay(parseISO(filters.dateTo))) return false;
+  }
+
+  if (filters.minRating !== '') {
+    const average = getAverageRating(event);
+    if (average === null || average < Number(filters.minRating)) return false;
+  }
+
+  if (filters.durationType && event.duracao_tipo !== filters.durationType) return false;
+
+  if (filters.category && !sameValue(event.categoria || '', filters.category)) return false;
+
+  if (filters.tag && !getEventTags(event).some(tag => sameValue(tag, filters.tag))) return false;
+
+  if (filters.location && !normalizeText(event.local).includes(normalizeText(filters.location).trim())) return false;
+
+  if (filters.hasComments && visibleComments(event).length === 0) return false;
+
+  if (filters.status && getEventStatus(event, now) !== filters.status) return false;
+
+  return true;
+};
@@ -0,0 +1,323 @@
+import {
+  addDays,
+  addHours,
+  addMonths,
+  addWeeks,
+  addYears,
+  differenceInCalendarDays,
+  differenceInHours,
+  differenceInMonths,
+  differenceInYears,
+  format,
+  isValid,
+  parseISO
+} from 'date-fns';
+import { downloadFile } from './download';
+import { getEventEndDate, getEventStartDate } from './eventDates';
+import { getEventTags } from './eventTags';
+import { isRecurring } from './recurrence';
+
+// Exportação e importação de eventos no formato iCalendar (RFC 5545)
+
+const PRODID = '-//Eventos e comentarios//Eventos App//PT';
+
+const escapeText = (value) => String(value ?? '')
+    .replace(/\\/g, '\\\\')
+    .replace(/;/g, '\\;')
+    .replace(/,/g, '\\,')
+    .replace(/\r?\n/g, '\\n');
+
+const unescapeText = (value) => value.replace(/\\([\\;,nN])/g, (match, char) =>
+    char === 'n' || char === 'N' ? '\n' : char);
+
+// CATEGORIES separa os valores por vírgulas sem escape
+const splitTextList = (value) => (value.match(/(?:\\.|[^,])+/g) || [])
+    .map(item => unescapeText(item).trim())
+    .filter(Boolean);
+
+// Tamanho em octetos de um caractere em UTF-8
+const utf8Length = (char) => {
+  const code = char.codePointAt(0);
+  if (code < 0x80) return 1;
+  if (code < 0x800) return 2;
+  return code < 0x10000 ? 3 : 4;
+};
+
+// Linhas com mais de 75 octetos são quebradas com CRLF + espaço, sem partir caracteres UTF-8
+const foldLine = (line) => {
+  const parts = [];
+  let current = '';
+  let currentBytes = 0;
+  for (const char of line) {
+    const charBytes = utf8Length(char);
+    const limit = parts.length === 0 ? 75 : 74;
+    if (currentBytes + charBytes > limit) {
+      parts.push(current);
+      current = '';
+      currentBytes = 0;
+    }
+    current += char;
+    currentBytes += charBytes;
+  }
+  parts.push(current);
+  return parts.join('\r\n ');
+};
+
+const formatUtcStamp = (date) => date.toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+
+// Eventos em horas (ou com horário) viram DATE-TIME; os demais, dias inteiros (VALUE=DATE)
+const isTimedEvent = (event) => event.duracao_tipo === 'horas' || /T\d{2}:\d{2}/.test(event.data || '');
+
+const formatDateProperty = (name, date, timed) => timed
+    ? `${name}:${format(date, "yyyyMMdd'T'HHmmss")}`
+    : `${name};VALUE=DATE:${format(date, 'yyyyMMdd')}`;
+
+// frequencia <-> FREQ do RRULE; anual e regras com BYDAY, BYMONTHDAY... não têm equivalente no app
+const ruleFrequencies = {
+  diaria: 'DAILY',
+  semanal: 'WEEKLY',
+  mensal: 'MONTHLY'
+};
+
+// RRULE e EXDATE de uma série; o término segue o tipo do DTSTART, como pede o RFC 5545.
+// Ocorrências alteradas só no app não são exportadas como exceções
+const recurrenceLines = (event, timed) => {
+  const { frequencia, intervalo, ate, ocorrencias, excecoes = [] } = event.recorrencia;
+  const rule = [`FREQ=${ruleFrequencies[frequencia]}`, `INTERVAL=${Number(intervalo) || 1}`];
+  if (ate) {
+    rule.push(`UNTIL=${format(parseISO(ate), timed ? "yyyyMMdd'T'235959" : 'yyyyMMdd')}`);
+  } else if (ocorrencias) {
+    rule.push(`COUNT=${Number(ocorrencias)}`);
+  }
+  // Each skipped date keeps the series' start time
+  const time = String(event.data).slice(10);
+  return [
+    `RRULE:${rule.join(';')}`,
+    ...excecoes.map(day => formatDateProperty('EXDATE', parseISO(day + time), timed))
+  ];
+};
+
+/**
+ * Textos já traduzidos vêm em options (utils não traduzem): unnamedEvent é o SUMMARY de eventos
+ * sem nome e summarizeEvent(event) devolve as linhas de resumo que seguem a descrição no DESCRIPTION.
+ */
+export const eventsToICalendar = (events, { now = new Date(), unnamedEvent = '', summarizeEvent = () => [] } = {}) => {
+  const lines = [
+    'BEGIN:VCALENDAR',
+    'VERSION:2.0',
+    `PRODID:${PRODID}`,
+    'CALSCALE:GREGORIAN',
+    'METHOD:PUBLISH'
+  ];
+
+  events.forEach(event => {
+    const start = getEventStartDate(event);
+    if (!start) return;
+    const timed = isTimedEvent(event);
+
+    // Occurrences listed one by one need their own UID
+    const uid = event.ocorrencia ? `evento-${event.id}-${event.ocorrencia}` : `evento-${event.id}`;
+
+    lines.push(
+        'BEGIN:VEVENT',
+        `UID:${uid}@eventos-app`,
+        `DTSTAMP:${formatUtcStamp(now)}`,
+        formatDateProperty('DTSTART', start, timed),
+        formatDateProperty('DTEND', getEventEndDate(event), timed),
+        `SUMMARY:${escapeText(event.nome || unnamedEvent)}`,
+        `DESCRIPTION:${escapeText([...(event.descricao ? [event.descricao, ''] : []), ...summarizeEvent(event)].join('\n'))}`
+    );
+    if (isRecurring(event) && !event.ocorrencia) lines.push(...recurrenceLines(event, timed));
+    if (event.local) lines.push(`LOCATION:${escapeText(event.local)}`);
+    const tags = getEventTags(event);
+    if (tags.length > 0) lines.push(`CATEGORIES:${tags.map(escapeText).join(',')}`);
+    lines.push('END:VEVENT');
+  });
+
+  lines.push('END:VCALENDAR');
+  return lines.map(foldLine).join('\r\n') + '\r\n';
+};
+
+export const downloadICalendar = (events, filename, options) =>
+    downloadFile(filename, eventsToICalendar(events, options), 'text/calendar;charset=utf-8');
+
+// Desfaz as quebras de linha (linhas iniciadas por espaço ou tab continuam a anterior)
+const unfoldLines = (text) => text.replace(/\r\n/g, '\n').replace(/\n[ \t]/g, '').split('\n');
+
+const parseProperty = (line) => {
+  const colon = line.indexOf(':');
+  if (colon < 0) return null;
+  const [name, ...params] = line.slice(0, colon).split(';');
+  return {
+    name: name.toUpperCase(),
+    params: Object.fromEntries(params.map(param => {
+      const [key, value = ''] = param.split('=');
+      return [key.toUpperCase(), value.replace(/^"|"$/g, '')];
+    })),
+    value: line.slice(colon + 1)
+  };
+};
+
+// DATE (20240501), DATE-TIME local (20240501T140000) ou UTC (20240501T140000Z)
+const parseDateValue = (value) => {
+  const match = /^(\d{4})(\d{2})(\d{2})(?:T(\d{2})(\d{2})(\d{2})(Z)?)?$/.exec(value.trim());
+  if (!match) return null;
+  const [, year, month, day, hour, minute, second, utc] = match;
+  const parts = [Number(year), Number(month) - 1, Number(day), Number(hour || 0), Number(minute || 0), Number(second || 0)];
+  const date = utc ? new Date(Date.UTC(...parts)) : new Date(...parts);
+  return isValid(date) ? { date, timed: hour !== undefined } : null;
+};
+
+// Durações ISO 8601 do RFC 5545 (P1W, P2D, PT3H, P1DT12H...)
+const parseDuration = (value) => {
+  const match = /^\+?P(?:(\d+)W)?(?:(\d+)D)?(?:T(?:(\d+)H)?(?:(\d+)M)?(?:(\d+)S)?)?$/.exec(value.trim());
+  if (!match) return null;
+  const [, weeks, days, hours, minutes] = match.map(part => Number(part || 0));
+  if (minutes) return null;
+  if (hours) return { duracao_qtd: weeks * 168 + days * 24 + hours, duracao_tipo: 'horas' };
+  if (weeks && !days) return { duracao_qtd: weeks, duracao_tipo: 'semanas' };
+  return { duracao_qtd: weeks * 7 + days, duracao_tipo: 'dias' };
+};
+
+// Maior unidade do app que representa exatamente o intervalo entre início e término
+const durationBetween = (start, end, timed) => {
+  const years = differenceInYears(end, start);
+  if (years > 0 && addYears(start, years).getTime() === end.getTime()) {
+    return { duracao_qtd: years, duracao_tipo: 'anos' };
+  }
+  const months = differenceInMonths(end, start);
+  if (months > 0 && addMonths(start, months).getTime() === end.getTime()) {
+    return { duracao_qtd: months, duracao_tipo: 'meses' };
+  }
+  const days = differenceInCalendarDays(end, start);
+  if (days > 0 && days % 7 === 0 && addWeeks(start, days / 7).getTime() === end.getTime()) {
+    return { duracao_qtd: days / 7, duracao_tipo: 'semanas' };
+  }
+  if (days > 0 && addDays(start, days).getTime() === end.getTime()) {
+    return { duracao_qtd: days, duracao_tipo: 'dias' };
+  }
+  const hours = differenceInHours(end, start);
+  if (timed && hours > 0 && addHours(start, hours).getTime() === end.getTime()) {
+    return { duracao_qtd: hours, duracao_tipo: 'horas' };
+  }
+  return null;
+};
+
+/**
+ * recorrencia do app a partir do RRULE (e das datas do EXDATE), ou null quando a regra
+ * não tem equivalente: frequência anual ou partes BY... (dias da semana, dias do mês).
+ */
+const parseRecurrence = (rrule, exdate) => {
+  const parts = Object.fromEntries(rrule.value.split(';').map(part => {
+    const [key, value = ''] = part.split('=');
+    return [key.toUpperCase(), value.toUpperCase()];
+  }));
+  const frequencia = Object.keys(ruleFrequencies).find(key => ruleFrequencies[key] === parts.FREQ);
+  if (!frequencia || Object.keys(parts).some(key => key.startsWith('BY'))) return null;
+
+  const until = parts.UNTIL ? parseDateValue(parts.UNTIL) : null;
+  if (parts.UNTIL && !until) return null;
+
+  const excecoes = exdate
+      ? exdate.value.split(',').map(parseDateValue).filter(Boolean).map(({ date }) => format(date, 'yyyy-MM-dd'))
+      : [];
+
+  return {
+    frequencia,
+    intervalo: Number(parts.INTERVAL) || 1,
+    ate: until ? format(until.date, 'yyyy-MM-dd') : null,
+    ocorrencias: Number(parts.COUNT) || null,
+    excecoes,
+    alteracoes: {}
+  };
+};
+
+/**
+ * Lê um arquivo .ics e devolve um item por VEVENT: { index, values, errors, warnings }.
+ * values já está no formato do POST eventos (nome, data, duracao_qtd, duracao_tipo, local, tags, recorrencia).
+ * errors/warnings trazem { code, value? }; o texto fica no catálogo de traduções (ics.issues.<code>).
+ */
+export const parseICalendar = (text) => {
+  const lines = unfoldLines(text);
+  if (!lines.some(line => line.trim().toUpperCase() === 'BEGIN:VCALENDAR')) {
+    const error = new Error('O arquivo não é um calendário iCalendar válido.');
+    error.code = 'invalidFile';
+    throw error;
+  }
+
+  const items = [];
+  let current = null;
+
+  lines.forEach(rawLine => {
+    const line = rawLine.trim();
+    if (!line) return;
+    const upper = line.toUpperCase();
+
+    if (upper === 'BEGIN:VEVENT') {
+      current = {};
+    } else if (upper === 'END:VEVENT' && current) {
+      items.push(current);
+      current = null;
+    } else if (current) {
+      const property = parseProperty(line);
+      if (property && !(property.name in current)) {
+        current[property.name] = property;
+      }
+    }
+  });
+
+  return items.map((properties, index) => {
+    const errors = [];
+    const warnings = [];
+    const values = { nome: '', data: '', duracao_qtd: '', duracao_tipo: 'dias' };
+
+    values.nome = properties.SUMMARY ? unescapeText(properties.SUMMARY.value).trim() : '';
+    if (!values.nome) errors.push({ code: 'missingSummary' });
+
+    const start = properties.DTSTART && parseDateValue(properties.DTSTART.value);
+    if (!start) {
+      errors.push({ code: 'invalidStart' });
+    } else {
+      // DATE-TIME starts keep their time, in the same format the app exports ('2024-05-01T14:00')
+      values.data = format(start.date, start.timed ? "yyyy-MM-dd'T'HH:mm" : 'yyyy-MM-dd');
+
+      let duration = null;
+      if (properties.DTEND) {
+        const end = parseDateValue(properties.DTEND.value);
+        if (!end) {
+          errors.push({ code: 'invalidEnd' });
+        } else if (end.date < start.date) {
+          errors.push({ code: 'endBeforeStart' });
+        } else {
+          duration = durationBetween(start.date, end.date, start.timed);
+          if (!duration && end.date > start.date) {
+            errors.push({ code: 'unrepresentableDuration' });
+          }
+        }
+      } else if (properties.DURATION) {
+        duration = parseDuration(properties.DURATION.value);
+        if (!duration) errors.push({ code: 'unsupportedDuration', value: properties.DURATION.value });
+      }
+
+      // Sem término/duração (ou término igual ao início) o RFC 5545 considera um dia ou um instante
+      if (!duration && errors.length === 0) {
+        duration = start.timed ? { duracao_qtd: 1, duracao_tipo: 'horas' } : { duracao_qtd: 1, duracao_tipo: 'dias' };
+      }
+      if (duration) Object.assign(values, duration);
+    }
+
+    if (properties.LOCATION) values.local = unescapeText(properties.LOCATION.value).trim();
+    if (properties.CATEGORIES) values.tags = splitTextList(properties.CATEGORIES.value);
+
+    if (properties.RRULE) {
+      const recurrence = parseRecurrence(properties.RRULE, properties.EXDATE);
+      if (recurrence) {
+        values.recorrencia = recurrence;
+      } else {
+        warnings.push({ code: 'recurrenceIgnored' });
+      }
+    }
+
+    return { index, values, errors, warnings };
+  });
+};
@@ -0,0 +1,150 @@
+import { eventsToICalendar, parseICalendar } from './ical';
+
+const calendar = (...lines) => ['BEGIN:VCALENDAR', 'VERSION:2.0', ...lines, 'END:VCALENDAR'].join('\r\n');
+const vevent = (...lines) => ['BEGIN:VEVENT', ...lines, 'END:VEVENT'];
+
+const now = new Date(Date.UTC(2024, 0, 1, 12));
+
+describe('parseICalendar', () => {
+  test('rejects files that are not a calendar', () => {
+    expect(() => parseICalendar('hello')).toThrow(expect.objectContaining({ code: 'invalidFile' }));
+  });
+
+  test('reads all-day events with their duration', () => {
+    const [item] = parseICalendar(calendar(...vevent(
+        'SUMMARY:Congresso',
+        'DTSTART;VALUE=DATE:20240501',
+        'DTEND;VALUE=DATE:20240504'
+    )));
+    expect(item.errors).toEqual([]);
+    expect(item.values).toMatchObject({ nome: 'Congresso', data: '2024-05-01', duracao_qtd: 3, duracao_tipo: 'dias' });
+  });
+
+  test('keeps the start time of timed events', () => {
+    const [item] = parseICalendar(calendar(...vevent(
+        'SUMMARY:Reunião',
+        'DTSTART:20240501T140000',
+        'DTEND:20240501T160000'
+    )));
+    expect(item.values).toMatchObject({ data: '2024-05-01T14:00', duracao_qtd: 2, duracao_tipo: 'horas' });
+  });
+
+  test('reads DURATION values and reports the ones the app cannot represent', () => {
+    const [weeks, minutes] = parseICalendar(calendar(
+        ...vevent('SUMMARY:A', 'DTSTART;VALUE=DATE:20240501', 'DURATION:P2W'),
+        ...vevent('SUMMARY:B', 'DTSTART:20240501T100000', 'DURATION:PT30M')
+    ));
+    expect(weeks.values).toMatchObject({ duracao_qtd: 2, duracao_tipo: 'semanas' });
+    expect(minutes.errors).toEqual([{ code: 'unsupportedDuration', value: 'PT30M' }]);
+  });
+
+  test('validates summary, start and end', () => {
+    const [item] = parseICalendar(calendar(...vevent('DTSTART:20240501T160000', 'DTEND:20240501T140000')));
+    expect(item.errors.map(error => error.code)).toEqual(['missingSummary', 'endBeforeStart']);
+  });
+
+  test('unfolds lines and unescapes text', () => {
+    const [item] = parseICalendar(calendar(...vevent(
+        'SUMMARY:Almoço\\, reunião \\; e',
+        '  café',
+        'DTSTART;VALUE=DATE:20240501',
+        'LOCATION:Sala 2\\nandar 3',
+        'CATEGORIES:trabalho,time\\,A'
+    )));
+    expect(item.values.nome).toBe('Almoço, reunião ; e café');
+    expect(item.values.local).toBe('Sala 2\nandar 3');
+    expect(item.values.tags).toEqual(['trabalho', 'time,A']);
+  });
+
+  test('reads simple recurrence rules and skips the others', () => {
+    const [weekly, yearly] = parseICalendar(calendar(
+        ...vevent(
+            'SUMMARY:Aula',
+            'DTSTART;VALUE=DATE:20240603',
+            'RRULE:FREQ=WEEKLY;INTERVAL=2;COUNT=5',
+            'EXDATE;VALUE=DATE:20240617,20240701'
+        ),
+        ...vevent('SUMMARY:Aniversário', 'DTSTART;VALUE=DATE:20240603', 'RRULE:FREQ=YEARLY')
+    ));
+    expect(weekly.values.recorrencia).toEqual({
+      frequencia: 'semanal',
+      intervalo: 2,
+      ate: null,
+      ocorrencias: 5,
+      excecoes: ['2024-06-17', '2024-07-01'],
+      alteracoes: {}
+    });
+    expect(yearly.values.recorrencia).toBeUndefined();
+    expect(yearly.warnings).toEqual([{ code: 'recurrenceIgnored' }]);
+  });
+});
+
+describe('eventsToICalendar', () => {
+  const event = {
+    id: 1,
+    nome: 'Reunião, geral; anual',
+    data: '2024-05-01T14:00',
+    duracao_qtd: 2,
+    duracao_tipo: 'horas',
+    local: 'Sala 2',
+    tags: ['trabalho'],
+    descricao: 'Pauta',
+    comentarios: []
+  };
+
+  test('writes timed events with escaped text and translated summary lines', () => {
+    const text = eventsToICalendar([event], { now, summarizeEvent: () => ['Duração: 2 horas'] });
+    const lines = text.split('\r\n');
+    expect(lines).toEqual(expect.arrayContaining([
+      'UID:evento-1@eventos-app',
+      'DTSTAMP:20240101T120000Z',
+      'DTSTART:20240501T140000',
+      'DTEND:20240501T160000',
+      'SUMMARY:Reunião\\, geral\\; anual',
+      'DESCRIPTION:Pauta\\n\\nDuração: 2 horas',
+      'LOCATION:Sala 2',
+      'CATEGORIES:trabalho'
+    ]));
+    expect(text.endsWith('END:VCALENDAR\r\n')).toBe(true);
+  });
+
+  test('names unnamed events with the given text', () => {
+    const text = eventsToICalendar([{ ...event, nome: '' }], { now, unnamedEvent: 'Evento sem nome' });
+    expect(text).toContain('SUMMARY:Evento sem nome');
+  });
+
+  test('folds long lines at 75 octets without splitting characters', () => {
+    const text = eventsToICalendar([{ ...event, nome: 'ã'.repeat(100) }], { now });
+    const folded = text.split('\r\n');
+    folded.forEach(line => expect(Buffer.byteLength(line)).toBeLessThanOrEqual(75));
+    expect(folded.some(line => line.startsWith(' '))).toBe(true);
+  });
+
+  test('writes series as RRULE and EXDATE', () => {
+    const series = {
+      ...event,
+      data: '2024-06-03',
+      duracao_tipo: 'dias',
+      duracao_qtd: 1,
+      recorrencia: { frequencia: 'semanal', intervalo: 1, ate: '2024-06-30', ocorrencias: null, excecoes: ['2024-06-10'] }
+    };
+    const lines = eventsToICalendar([series], { now }).split('\r\n');
+    expect(lines).toEqual(expect.arrayContaining([
+      'DTSTART;VALUE=DATE:20240603',
+      'RRULE:FREQ=WEEKLY;INTERVAL=1;UNTIL=20240630',
+      'EXDATE;VALUE=DATE:20240610'
+    ]));
+  });
+
+  test('round-trips through parseICalendar', () => {
+    const [item] = parseICalendar(eventsToICalendar([event], { now }));
+    expect(item.values).toMatchObject({
+      nome: event.nome,
+      data: '2024-05-01T14:00',
+      duracao_qtd: 2,
+      duracao_tipo: 'horas',
+      local: 'Sala 2',
+      tags: ['trabalho']
+    });
+  });
+});
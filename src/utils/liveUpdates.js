@@ -0,0 +1,107 @@
+// Mensagens de atualização ao vivo: { type: 'event' | 'comment', action: 'created' | 'updated' | 'deleted', data }
+// Comentários trazem id_evento em data; remoções só precisam do id.
+
+const withoutComments = ({ comentarios, ...fields }) => fields;
+
+const sameJson = (a, b) => JSON.stringify(a) === JSON.stringify(b);
+
+const diffComments = (eventId, before = [], after = []) => {
+  const messages = [];
+  const beforeById = new Map(before.map(comment => [comment.id, comment]));
+  const afterIds = new Set(after.map(comment => comment.id));
+
+  after.forEach(comment => {
+    const previous = beforeById.get(comment.id);
+    const data = { ...comment, id_evento: eventId };
+    if (!previous) {
+      messages.push({ type: 'comment', action: 'created', data });
+    } else if (!sameJson(previous, comment)) {
+      messages.push({ type: 'comment', action: 'updated', data });
+    }
+  });
+  before.forEach(comment => {
+    if (!afterIds.has(comment.id)) {
+      messages.push({ type: 'comment', action: 'deleted', data: { id: comment.id, id_evento: eventId } });
+    }
+  });
+  return messages;
+};
+
+/**
+ * Compara duas leituras de GET eventos (o modo polling) e gera as mesmas mensagens do stream.
+ * Remoções de eventos só são deduzidas quando a leitura traz a lista completa.
+ */
+export const diffSnapshots = (previous, next, complete) => {
+  const messages = [];
+  const previousById = new Map(previous.map(event => [event.id, event]));
+  const nextIds = new Set(next.map(event => event.id));
+
+  next.forEach(event => {
+    const before = previousById.get(event.id);
+    if (!before) {
+      messages.push({ type: 'event', action: 'created', data: event });
+      return;
+    }
+    if (!sameJson(withoutComments(before), withoutComments(event))) {
+      messages.push({ type: 'event', action: 'updated', data: withoutComments(event) });
+    }
+    messages.push(...diffComments(event.id, before.comentarios, event.comentarios));
+  });
+
+  if (complete) {
+    previous.forEach(event => {
+      if (!nextIds.has(event.id)) {
+        messages.push({ type: 'event', action: 'deleted', data: { id: event.id } });
+      }
+    });
+  }
+  return messages;
+};
+
+const sameId = (a, b) => String(a) === String(b);
+
+// Comentários sem id_evento são procurados em todos os eventos
+const updateComments = (events, eventId, update) => events.map(event =>
+    eventId == null || sameId(event.id, eventId)
+        ? { ...event, comentarios: update(event.comentarios || []) }
+        : event);
+
+// Aplica uma mensagem à lista de eventos; mensagens repetidas (ecos das nossas próprias escritas) não duplicam nada
+export const applyLiveMessage = (events, { type, action, data }) => {
+  if (!data || data.id == null) return events;
+
+  if (type === 'event') {
+    if (action === 'deleted') {
+      return events.filter(event => !sameId(event.id, data.id));
+    }
+    const exists = events.some(event => sameId(event.id, data.id));
+    if (!exists) {
+      return action === 'created' ? [...events, { ...data, comentarios: data.comentarios || [] }] : events;
+    }
+    return events.map(event => sameId(event.id, data.id)
+        ? { ...event, ...data, comentarios: data.comentarios || event.comentarios }
+        : event);
+  }
+
+  if (type === 'comment') {
+    if (action === 'deleted') {
+      return updateComments(events, data.id_evento, comments => comments.filter(comment => !sameId(comment.id, data.id)));
+    }
+    return updateComments(events, data.id_evento, comments => {
+      const exists = comments.some(comment => sameId(comment.id, data.id));
+      if (exists) {
+        return comments.map(comment => sameId(comment.id, data.id) ? { ...comment, ...data } : comment);
+      }
+      return action === 'created' && data.id_evento != null ? [...comments, data] : comments;
+    });
+  }
+
+  return events;
+};
+
+// Se a mensagem é um comentário que ainda não está na lista (para o contador de novos comentários)
+export const isNewComment = (events, { type, action, data }) => {
+  if (type !== 'comment' || action !== 'created' || !data || data.id_evento == null) return false;
+  const event = events.find(item => sameId(item.id, data.id_evento));
+  return Boolean(event) && !(event.comentarios || []).some(comment => sameId(comment.id, data.id));
+};
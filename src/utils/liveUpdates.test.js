@@ -0,0 +1,75 @@
+import { applyLiveMessage, diffSnapshots, isNewComment } from './liveUpdates';
+
+const comment = { id: 10, comentario: 'bom', classificacao: 4 };
+const events = [
+  { id: 1, nome: 'Festa', comentarios: [comment] },
+  { id: 2, nome: 'Workshop', comentarios: [] }
+];
+
+describe('diffSnapshots', () => {
+  test('reports created and updated events without repeating their comments', () => {
+    const next = [{ ...events[0], nome: 'Festa junina' }, events[1], { id: 3, nome: 'Show', comentarios: [] }];
+    expect(diffSnapshots(events, next, false)).toEqual([
+      { type: 'event', action: 'updated', data: { id: 1, nome: 'Festa junina' } },
+      { type: 'event', action: 'created', data: next[2] }
+    ]);
+  });
+
+  test('reports comment changes with the id of their event', () => {
+    const next = [{ ...events[0], comentarios: [{ ...comment, comentario: 'ótimo' }] }, { ...events[1], comentarios: [{ id: 11 }] }];
+    expect(diffSnapshots(events, next, true)).toEqual([
+      { type: 'comment', action: 'updated', data: { ...comment, comentario: 'ótimo', id_evento: 1 } },
+      { type: 'comment', action: 'created', data: { id: 11, id_evento: 2 } }
+    ]);
+    expect(diffSnapshots(next, events, true)).toContainEqual(
+        { type: 'comment', action: 'deleted', data: { id: 11, id_evento: 2 } });
+  });
+
+  test('only deduces deleted events from a complete read', () => {
+    expect(diffSnapshots(events, [events[0]], false)).toEqual([]);
+    expect(diffSnapshots(events, [events[0]], true)).toEqual([{ type: 'event', action: 'deleted', data: { id: 2 } }]);
+  });
+});
+
+describe('applyLiveMessage', () => {
+  test('adds a created event once, even when the message repeats', () => {
+    const message = { type: 'event', action: 'created', data: { id: 3, nome: 'Show' } };
+    const once = applyLiveMessage(events, message);
+    expect(once).toHaveLength(3);
+    expect(once[2]).toEqual({ id: 3, nome: 'Show', comentarios: [] });
+    expect(applyLiveMessage(once, message)).toHaveLength(3);
+  });
+
+  test('merges updates, keeping the comments the message does not bring', () => {
+    const [updated] = applyLiveMessage(events, { type: 'event', action: 'updated', data: { id: '1', nome: 'Festa junina' } });
+    expect(updated).toEqual({ id: '1', nome: 'Festa junina', comentarios: [comment] });
+    expect(applyLiveMessage(events, { type: 'event', action: 'updated', data: { id: 9 } })).toBe(events);
+  });
+
+  test('removes deleted events and ignores messages without an id', () => {
+    expect(applyLiveMessage(events, { type: 'event', action: 'deleted', data: { id: 1 } })).toEqual([events[1]]);
+    expect(applyLiveMessage(events, { type: 'event', action: 'deleted', data: {} })).toBe(events);
+  });
+
+  test('adds, updates and removes comments of the right event', () => {
+    const created = applyLiveMessage(events, { type: 'comment', action: 'created', data: { id: 11, id_evento: 2 } });
+    expect(created[1].comentarios).toEqual([{ id: 11, id_evento: 2 }]);
+    expect(applyLiveMessage(created, { type: 'comment', action: 'created', data: { id: 11, id_evento: 2 } })[1].comentarios)
+        .toHaveLength(1);
+
+    const updated = applyLiveMessage(events, { type: 'comment', action: 'updated', data: { id: 10, comentario: 'ótimo' } });
+    expect(updated[0].comentarios).toEqual([{ ...comment, comentario: 'ótimo' }]);
+
+    const deleted = applyLiveMessage(events, { type: 'comment', action: 'deleted', data: { id: 10, id_evento: 1 } });
+    expect(deleted[0].comentarios).toEqual([]);
+  });
+});
+
+describe('isNewComment', () => {
+  test('is true only for created comments not yet in their event', () => {
+    expect(isNewComment(events, { type: 'comment', action: 'created', data: { id: 11, id_evento: 1 } })).toBe(true);
+    expect(isNewComment(events, { type: 'comment', action: 'created', data: { id: 10, id_evento: 1 } })).toBe(false);
+    expect(isNewComment(events, { type: 'comment', action: 'created', data: { id: 11, id_evento: 5 } })).toBe(false);
+    expect(isNewComment(events, { type: 'comment', action: 'updated', data: { id: 11, id_evento: 1 } })).toBe(false);
+  });
+});
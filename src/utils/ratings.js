@@ -0,0 +1,37 @@
+// Comentários ocultos pela moderação não aparecem nem contam para a média
+export const visibleComments = (event) =>
+    (event && event.comentarios ? event.comentarios : []).filter(comment => !comment.oculto);
+
+// Respostas apontam para o comentário pai em parent e não trazem nota
+export const isReply = (comment) => Boolean(comment) && comment.parent != null;
+
+// Comentários visíveis de primeiro nível, os únicos que avaliam o evento
+export const ratedComments = (event) => visibleComments(event).filter(comment => !isReply(comment));
+
+// O total de comentários mostrado e exportado: só os que avaliam o evento, sem as respostas
+export const getCommentCount = (event) => ratedComments(event).length;
+
+// Média numérica das classificações visíveis, ou null quando não há comentários avaliando o evento
+export const getAverageRating = (event) => {
+  const comments = ratedComments(event);
+  if (comments.length === 0) return null;
+  return comments.reduce((acc, com) => acc + (com.classificacao || 0), 0) / comments.length;
+};
+
+// Função segura para calcular a classificação média
+export const calculateAverageRating = (event) => {
+  const average = getAverageRating(event);
+  return average === null ? 'N/A' : average.toFixed(1);
+};
+
+export const RATING_VALUES = [0, 1, 2, 3, 4, 5];
+
+// Quantidade de comentários avaliando o evento com cada nota, indexada pela nota (0 a 5)
+export const getRatingCounts = (event) => {
+  const counts = RATING_VALUES.map(() => 0);
+  ratedComments(event).forEach(comment => {
+    const rating = Math.round(Number(comment.classificacao) || 0);
+    counts[Math.min(5, Math.max(0, rating))]++;
+  });
+  return counts;
+};
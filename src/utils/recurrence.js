@@ -0,0 +1,137 @@
+import { addDays, addMonths, addWeeks, endOfDay, format, isValid, parseISO } from 'date-fns';
+import { getEventStartDate, withTimeOf } from './eventDates';
+
+/**
+ * Eventos recorrentes. A série é um único evento com
+ * recorrencia: { frequencia, intervalo, ate | ocorrencias, excecoes, alteracoes },
+ * expandido aqui em uma ocorrência por data. As ocorrências mantêm o id da série
+ * e ganham ocorrencia ('yyyy-MM-dd' da data original, mesmo se a ocorrência foi remarcada).
+ */
+
+// frequencia -> função do date-fns que avança a série
+const frequencyAdders = {
+  diaria: addDays,
+  semanal: addWeeks,
+  mensal: addMonths
+};
+
+export const FREQUENCIES = Object.keys(frequencyAdders);
+
+// Séries sem término (ou muito longas) param aqui
+export const MAX_OCCURRENCES = 500;
+
+// Campos que uma ocorrência pode ter diferentes da série
+export const OCCURRENCE_FIELDS = ['nome', 'data', 'duracao_qtd', 'duracao_tipo', 'categoria', 'tags', 'local', 'descricao'];
+
+export const emptyRecurrence = {
+  frequencia: 'semanal',
+  intervalo: 1,
+  ate: '',
+  ocorrencias: '',
+  excecoes: [],
+  alteracoes: {}
+};
+
+export const isRecurring = (event) =>
+    Boolean(event && event.recorrencia && frequencyAdders[event.recorrencia.frequencia]);
+
+export const occurrenceDay = (date) => format(date, 'yyyy-MM-dd');
+
+// Mantém o horário da série: '2024-05-01T10:00' -> '2024-05-08T10:00'
+const formatLike = (date, source) =>
+    String(source).includes('T') ? format(date, "yyyy-MM-dd'T'HH:mm") : occurrenceDay(date);
+
+/**
+ * Datas de início das ocorrências, em ordem. Cada uma é calculada a partir do início da série
+ * (31/01 mensal cai em 29/02 e volta a 31/03). Como no RFC 5545, as exceções saem depois
+ * da contagem: uma série de 10 ocorrências com 1 exceção mostra 9.
+ */
+export const getOccurrenceDates = (event) => {
+  const start = getEventStartDate(event);
+  if (!start) return [];
+  if (!isRecurring(event)) return [start];
+
+  const { frequencia, intervalo, ate, ocorrencias, excecoes = [] } = event.recorrencia;
+  const step = Math.max(1, Number(intervalo) || 1);
+  const until = ate && isValid(parseISO(ate)) ? endOfDay(parseISO(ate)) : null;
+  const limit = Math.min(Number(ocorrencias) || MAX_OCCURRENCES, MAX_OCCURRENCES);
+
+  const dates = [];
+  for (let index = 0; index < limit; index++) {
+    const date = frequencyAdders[frequencia](start, index * step);
+    if (until && date > until) break;
+    dates.push(date);
+  }
+  return dates.filter(date => !excecoes.includes(occurrenceDay(date)));
+};
+
+// Uma ocorrência: a data dela, o que foi alterado só nela e os comentários dela e da série toda
+const buildOccurrence = (event, date) => {
+  const day = occurrenceDay(date);
+  const changes = (event.recorrencia.alteracoes || {})[day] || {};
+  return {
+    ...event,
+    data: formatLike(date, event.data),
+    ...changes,
+    ocorrencia: day,
+    comentarios: (event.comentarios || []).filter(comment => !comment.ocorrencia || comment.ocorrencia === day)
+  };
+};
+
+export const expandEvent = (event) => (isRecurring(event)
+    ? getOccurrenceDates(event).map(date => buildOccurrence(event, date))
+    : [event]);
+
+// Lista com cada série trocada pelas suas ocorrências; os demais eventos ficam como estão
+export const expandRecurringEvents = (events) => events.flatMap(expandEvent);
+
+// A ocorrência da data original day, ou null se a série não passa por ela
+export const getOccurrence = (event, day) => {
+  if (!isRecurring(event)) return null;
+  const date = getOccurrenceDates(event).find(item => occurrenceDay(item) === day);
+  return date ? buildOccurrence(event, date) : null;
+};
+
+// Identifica a linha na lista: as ocorrências de uma série compartilham o id
+export const eventKey = (event) => (event.ocorrencia ? `${event.id}@${event.ocorrencia}` : event.id);
+
+// Página do evento; a de uma ocorrência leva a data original na query string
+export const eventPath = (event) =>
+    `/eventos/${event.id}${event.ocorrencia ? `?ocorrencia=${event.ocorrencia}` : ''}`;
+
+// Valores vindos do formulário chegam como texto; listas são comparadas pelo conteúdo
+const sameFieldValue = (field, value, regular) => {
+  if (Array.isArray(value) || Array.isArray(regular)) {
+    return JSON.stringify(value || []) === JSON.stringify(regular || []);
+  }
+  // O formulário só edita o dia; o horário da série continua valendo
+  if (field === 'data') return String(regular).slice(0, 10) === String(value).slice(0, 10);
+  return String(value ?? '') === String(regular ?? '');
+};
+
+/**
+ * recorrencia da série com values aplicados só à ocorrência day. Só o que difere da série
+ * fica guardado, para que edições posteriores da série continuem valendo nos outros campos.
+ */
+export const withOccurrenceChanges = (event, day, values) => {
+  const { [day]: previous, ...others } = event.recorrencia.alteracoes || {};
+  const regular = buildOccurrence({ ...event, recorrencia: { ...event.recorrencia, alteracoes: {} } }, parseISO(day));
+  const changes = Object.fromEntries(OCCURRENCE_FIELDS
+      .filter(field => field in values && !sameFieldValue(field, values[field], regular[field]))
+      .map(field => [field, field === 'data' ? withTimeOf(values.data, event.data) : values[field]]));
+
+  return {
+    ...event.recorrencia,
+    alteracoes: Object.keys(changes).length > 0 ? { ...others, [day]: changes } : others
+  };
+};
+
+// recorrencia da série sem a ocorrência day (e sem o que tinha sido alterado nela)
+export const withoutOccurrence = (event, day) => {
+  const { [day]: removed, ...alteracoes } = event.recorrencia.alteracoes || {};
+  return {
+    ...event.recorrencia,
+    excecoes: [...(event.recorrencia.excecoes || []), day].sort(),
+    alteracoes
+  };
+};
@@ -0,0 +1,117 @@
+import {
+  eventKey,
+  eventPath,
+  expandRecurringEvents,
+  getOccurrence,
+  getOccurrenceDates,
+  MAX_OCCURRENCES,
+  occurrenceDay,
+  withOccurrenceChanges,
+  withoutOccurrence
+} from './recurrence';
+
+const series = (recorrencia, fields = {}) => ({
+  id: 4,
+  nome: 'Aula',
+  data: '2024-06-03',
+  duracao_qtd: 1,
+  duracao_tipo: 'horas',
+  comentarios: [],
+  ...fields,
+  recorrencia: { frequencia: 'semanal', intervalo: 1, ate: '', ocorrencias: '', excecoes: [], alteracoes: {}, ...recorrencia }
+});
+
+const days = (event) => getOccurrenceDates(event).map(occurrenceDay);
+
+describe('getOccurrenceDates', () => {
+  test('returns only the start of events without repetition', () => {
+    expect(days({ data: '2024-06-03' })).toEqual(['2024-06-03']);
+    expect(days({ data: 'invalid' })).toEqual([]);
+  });
+
+  test('repeats every interval until the end date, inclusive', () => {
+    expect(days(series({ intervalo: 2, ate: '2024-07-01' })))
+        .toEqual(['2024-06-03', '2024-06-17', '2024-07-01']);
+    expect(days(series({ frequencia: 'diaria', ocorrencias: 3 })))
+        .toEqual(['2024-06-03', '2024-06-04', '2024-06-05']);
+  });
+
+  test('counts skipped dates as occurrences, as RFC 5545 does', () => {
+    expect(days(series({ ocorrencias: 3, excecoes: ['2024-06-10'] }))).toEqual(['2024-06-03', '2024-06-17']);
+  });
+
+  test('clamps monthly series to the end of shorter months', () => {
+    expect(days(series({ frequencia: 'mensal', ocorrencias: 3 }, { data: '2024-01-31' })))
+        .toEqual(['2024-01-31', '2024-02-29', '2024-03-31']);
+  });
+
+  test('stops series without an end at MAX_OCCURRENCES', () => {
+    expect(getOccurrenceDates(series({ frequencia: 'diaria' }))).toHaveLength(MAX_OCCURRENCES);
+  });
+});
+
+describe('occurrences', () => {
+  const event = series({
+    ocorrencias: 3,
+    alteracoes: { '2024-06-10': { nome: 'Aula extra', data: '2024-06-11T09:00' } }
+  }, {
+    data: '2024-06-03T10:00',
+    comentarios: [
+      { id: 1, comentario: 'série' },
+      { id: 2, comentario: 'só dia 10', ocorrencia: '2024-06-10' }
+    ]
+  });
+
+  test('keep the series time, its changes and their own comments', () => {
+    const [first, second] = expandRecurringEvents([event, { id: 5, data: '2024-01-01' }]);
+    expect(first).toMatchObject({ id: 4, data: '2024-06-03T10:00', ocorrencia: '2024-06-03' });
+    expect(first.comentarios.map(comment => comment.id)).toEqual([1]);
+    expect(second).toMatchObject({ nome: 'Aula extra', data: '2024-06-11T09:00', ocorrencia: '2024-06-10' });
+    expect(second.comentarios.map(comment => comment.id)).toEqual([1, 2]);
+    expect(expandRecurringEvents([event, { id: 5, data: '2024-01-01' }])).toHaveLength(4);
+  });
+
+  test('are found by their original date', () => {
+    expect(getOccurrence(event, '2024-06-17')).toMatchObject({ data: '2024-06-17T10:00' });
+    expect(getOccurrence(event, '2024-06-11')).toBeNull();
+    expect(getOccurrence({ id: 5, data: '2024-06-11' }, '2024-06-11')).toBeNull();
+  });
+
+  test('have their own key and path', () => {
+    const occurrence = getOccurrence(event, '2024-06-17');
+    expect(eventKey(occurrence)).toBe('4@2024-06-17');
+    expect(eventPath(occurrence)).toBe('/eventos/4?ocorrencia=2024-06-17');
+    expect(eventKey(event)).toBe(4);
+    expect(eventPath(event)).toBe('/eventos/4');
+  });
+});
+
+describe('withOccurrenceChanges', () => {
+  const event = series({ ocorrencias: 3 }, { data: '2024-06-03T10:00', tags: ['aula'] });
+
+  test('keeps only the fields that differ from the series, with the series time', () => {
+    const recorrencia = withOccurrenceChanges(event, '2024-06-10', {
+      nome: 'Aula',
+      data: '2024-06-12',
+      duracao_qtd: '1',
+      tags: ['aula'],
+      local: 'Sala 3'
+    });
+    expect(recorrencia.alteracoes).toEqual({ '2024-06-10': { data: '2024-06-12T10:00', local: 'Sala 3' } });
+  });
+
+  test('drops the entry when the occurrence goes back to the series values', () => {
+    const changed = { ...event, recorrencia: withOccurrenceChanges(event, '2024-06-10', { local: 'Sala 3' }) };
+    expect(withOccurrenceChanges(changed, '2024-06-10', { local: '', data: '2024-06-10' }).alteracoes).toEqual({});
+  });
+});
+
+describe('withoutOccurrence', () => {
+  test('skips the date and forgets its changes', () => {
+    const event = series({ ocorrencias: 3, excecoes: ['2024-06-17'], alteracoes: { '2024-06-10': { nome: 'X' } } });
+    expect(withoutOccurrence(event, '2024-06-10')).toMatchObject({
+      excecoes: ['2024-06-10', '2024-06-17'],
+      alteracoes: {}
+    });
+  });
+});
@@ -0,0 +1,187 @@
+import { visibleComments } from './ratings';
+
+// Busca textual nos nomes dos eventos e nos comentários: sem acentos, sem diferenciar maiúsculas,
+// com todos os termos obrigatórios e tolerância a pequenos erros de digitação
+
+const COMBINING_MARKS = /[\u0300-\u036f]/g;
+const WORD = /[\p{L}\p{N}]+/gu;
+
+// Pesos de cada tipo de acerto na relevância
+const SCORES = {
+  nameWordStart: 12,
+  name: 8,
+  nameFuzzy: 5,
+  comment: 3,
+  commentFuzzy: 1,
+  phraseInName: 10
+};
+
+// Comentários que acertam o mesmo termo além do primeiro somam pouco, até este limite
+const MAX_EXTRA_COMMENTS = 5;
+
+// 'Reunião' -> 'reuniao'
+export const normalizeText = (text) =>
+    String(text ?? '').normalize('NFD').replace(COMBINING_MARKS, '').toLowerCase();
+
+// Termos da busca já normalizados; repetidos contam uma vez
+export const tokenize = (query) => [...new Set(normalizeText(query).match(WORD) || [])];
+
+// Nenhum erro em termos curtos, 1 a partir de 4 letras e 2 a partir de 8
+const allowedTypos = (token) => (token.length >= 8 ? 2 : token.length >= 4 ? 1 : 0);
+
+// Distância de edição com transposição de letras vizinhas; para assim que passa de max
+const editDistance = (a, b, max) => {
+  if (Math.abs(a.length - b.length) > max) return max + 1;
+  let beforePrevious = null;
+  let previous = Array.from({ length: b.length + 1 }, (_, j) => j);
+
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    let rowMin = i;
+    for (let j = 1; j <= b.length; j++) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      current[j] = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + cost);
+      if (beforePrevious && i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+        current[j] = Math.min(current[j], beforePrevious[j - 2] + 1);
+      }
+      rowMin = Math.min(rowMin, current[j]);
+    }
+    if (rowMin > max) return max + 1;
+    beforePrevious = previous;
+    previous = current;
+  }
+  return previous[b.length];
+};
+
+// A palavra inteira ou o começo dela (para termos digitados pela metade) fica a poucos erros do termo
+const isFuzzyMatch = (token, word) => {
+  const max = allowedTypos(token);
+  if (max === 0) return false;
+  return editDistance(token, word, max) <= max ||
+      (word.length > token.length && editDistance(token, word.slice(0, token.length), max) <= max);
+};
+
+// Texto normalizado e, para cada posição dele, a posição correspondente no texto original
+const normalizeWithPositions = (text) => {
+  let normalized = '';
+  const positions = [];
+  let offset = 0;
+  for (const char of text) {
+    const piece = normalizeText(char);
+    for (let k = 0; k < piece.length; k++) positions.push(offset);
+    normalized += piece;
+    offset += char.length;
+  }
+  positions.push(text.length);
+  return { normalized, positions };
+};
+
+const wordsOf = (normalized) => Array.from(normalized.matchAll(WORD), match => ({
+  word: match[0],
+  start: match.index,
+  end: match.index + match[0].length
+}));
+
+// Trechos (no texto normalizado) que acertam o termo: ocorrências exatas ou, sem elas, palavras parecidas
+const findToken = (normalized, words, token) => {
+  const ranges = [];
+  for (let index = normalized.indexOf(token); index !== -1; index = normalized.indexOf(token, index + 1)) {
+    ranges.push([index, index + token.length]);
+  }
+  if (ranges.length > 0) {
+    const wordStart = words.some(({ start }) => ranges.some(([index]) => index === start));
+    return { kind: 'exact', wordStart, ranges };
+  }
+
+  const fuzzy = words.filter(({ word }) => isFuzzyMatch(token, word)).map(({ start, end }) => [start, end]);
+  return fuzzy.length > 0 ? { kind: 'fuzzy', wordStart: true, ranges: fuzzy } : null;
+};
+
+const analyze = (text) => {
+  const normalized = normalizeText(text);
+  return { normalized, words: wordsOf(normalized) };
+};
+
+/**
+ * Confere o evento com a busca. Devolve null quando algum termo não aparece nem no nome nem nos comentários;
+ * senão { score, nameMatch, commentMatches } (quantos comentários acertam algum termo).
+ * Buscas sem termos aceitam todos os eventos com score 0.
+ */
+export const searchEvent = (event, query) => {
+  const tokens = tokenize(query);
+  if (tokens.length === 0) return { score: 0, nameMatch: false, commentMatches: 0 };
+
+  const name = analyze(event.nome);
+  const comments = visibleComments(event).map(comment => analyze(comment.comentario));
+  const matchedComments = new Set();
+  let score = 0;
+  let nameMatch = false;
+
+  for (const token of tokens) {
+    const inName = findToken(name.normalized, name.words, token);
+    const inComments = comments
+        .map((comment, index) => ({ index, match: findToken(comment.normalized, comment.words, token) }))
+        .filter(({ match }) => match);
+
+    if (!inName && inComments.length === 0) return null;
+
+    if (inName) {
+      nameMatch = true;
+      if (inName.kind === 'fuzzy') score += SCORES.nameFuzzy;
+      else score += inName.wordStart ? SCORES.nameWordStart : SCORES.name;
+    }
+    if (inComments.length > 0) {
+      const exact = inComments.some(({ match }) => match.kind === 'exact');
+      score += exact ? SCORES.comment : SCORES.commentFuzzy;
+      score += Math.min(inComments.length - 1, MAX_EXTRA_COMMENTS) * SCORES.commentFuzzy;
+      inComments.forEach(({ index }) => matchedComments.add(index));
+    }
+  }
+
+  const phrase = tokens.join(' ');
+  if (tokens.length > 1 && name.normalized.includes(phrase)) score += SCORES.phraseInName;
+
+  return { score, nameMatch, commentMatches: matchedComments.size };
+};
+
+// Mais relevantes primeiro; empates (e buscas vazias) ficam na ordem de compareFallback
+export const sortByRelevance = (events, query, compareFallback) => {
+  const scores = new Map(events.map(event => [event, (searchEvent(event, query) || { score: 0 }).score]));
+  return [...events].sort((a, b) => scores.get(b) - scores.get(a) || compareFallback(a, b));
+};
+
+/**
+ * Divide o texto em trechos { text, match } para destacar o que a busca encontrou.
+ * Os trechos vêm do texto original, com acentos e maiúsculas preservados.
+ */
+export const highlightSegments = (text, query) => {
+  const source = String(text ?? '');
+  const tokens = tokenize(query);
+  if (!source || tokens.length === 0) return [{ text: source, match: false }];
+
+  const { normalized, positions } = normalizeWithPositions(source);
+  const words = wordsOf(normalized);
+  const ranges = tokens
+      .flatMap(token => (findToken(normalized, words, token) || { ranges: [] }).ranges)
+      .sort((a, b) => a[0] - b[0]);
+
+  // Overlapping matches of different terms become a single highlight
+  const merged = [];
+  ranges.forEach(([start, end]) => {
+    const last = merged[merged.length - 1];
+    if (last && start <= last[1]) last[1] = Math.max(last[1], end);
+    else merged.push([start, end]);
+  });
+
+  const segments = [];
+  let cursor = 0;
+  merged.forEach(([start, end]) => {
+    const from = positions[start];
+    const to = positions[end];
+    if (from > cursor) segments.push({ text: source.slice(cursor, from), match: false });
+    segments.push({ text: source.slice(from, to), match: true });
+    cursor = to;
+  });
+  if (cursor < source.length) segments.push({ text: source.slice(cursor), match: false });
+  return segments;
+};
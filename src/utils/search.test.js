@@ -0,0 +1,86 @@
+import { highlightSegments, normalizeText, searchEvent, sortByRelevance, tokenize } from './search';
+
+const event = (nome, ...comentarios) => ({
+  nome,
+  comentarios: comentarios.map((comentario, index) => ({ id: index + 1, comentario, classificacao: 4 }))
+});
+
+describe('normalizeText and tokenize', () => {
+  test('ignore accents and case', () => {
+    expect(normalizeText('Reunião ÁGIL')).toBe('reuniao agil');
+    expect(tokenize('Café, café e CAFÉ!')).toEqual(['cafe', 'e']);
+  });
+});
+
+describe('searchEvent', () => {
+  test('accepts every event for an empty query', () => {
+    expect(searchEvent(event('Festa'), '  ')).toEqual({ score: 0, nameMatch: false, commentMatches: 0 });
+  });
+
+  test('matches names without accents', () => {
+    expect(searchEvent(event('Reunião geral'), 'reuniao')).toMatchObject({ nameMatch: true });
+  });
+
+  test('requires every term, in the name or in some comment', () => {
+    const item = event('Reunião', 'Ótima pauta', 'Faltou café');
+    expect(searchEvent(item, 'reuniao cafe')).toMatchObject({ nameMatch: true, commentMatches: 1 });
+    expect(searchEvent(item, 'reuniao almoço')).toBeNull();
+  });
+
+  test('ignores hidden comments', () => {
+    const item = { nome: 'Festa', comentarios: [{ id: 1, comentario: 'spam', oculto: true }] };
+    expect(searchEvent(item, 'spam')).toBeNull();
+  });
+
+  test('tolerates one typo from 4 letters and two from 8', () => {
+    expect(searchEvent(event('Palestra'), 'plaestra')).not.toBeNull();
+    expect(searchEvent(event('Apresentação'), 'aprezentasao')).not.toBeNull();
+    expect(searchEvent(event('Apresentação'), 'aprezentasau')).toBeNull();
+    expect(searchEvent(event('Festa'), 'fsta')).not.toBeNull();
+    expect(searchEvent(event('Festa'), 'fxsxa')).toBeNull();
+    expect(searchEvent(event('Bar'), 'bor')).toBeNull();
+  });
+
+  test('matches words typed halfway', () => {
+    expect(searchEvent(event('Apresentação'), 'apres')).not.toBeNull();
+    expect(searchEvent(event('Apresentação'), 'aprse')).not.toBeNull();
+  });
+});
+
+describe('sortByRelevance', () => {
+  test('puts name matches before comment matches and keeps ties in fallback order', () => {
+    const inComment = { id: 1, ...event('Festa', 'reunião depois') };
+    const inName = { id: 2, ...event('Reunião') };
+    const none = { id: 3, ...event('Almoço') };
+    const other = { id: 4, ...event('Jantar') };
+    const byId = (a, b) => a.id - b.id;
+    expect(sortByRelevance([none, inComment, other, inName], 'reuniao', byId).map(item => item.id))
+        .toEqual([2, 1, 3, 4]);
+  });
+});
+
+describe('highlightSegments', () => {
+  test('returns the whole text when nothing is searched', () => {
+    expect(highlightSegments('Festa', '')).toEqual([{ text: 'Festa', match: false }]);
+  });
+
+  test('keeps the original accents and case of the matches', () => {
+    expect(highlightSegments('Reunião de Ação', 'acao REUNIAO')).toEqual([
+      { text: 'Reunião', match: true },
+      { text: ' de ', match: false },
+      { text: 'Ação', match: true }
+    ]);
+  });
+
+  test('merges overlapping matches', () => {
+    expect(highlightSegments('workshop', 'work shop orks')).toEqual([{ text: 'workshop', match: true }]);
+  });
+
+  test('highlights whole words for typo matches', () => {
+    expect(highlightSegments('Uma palestra boa', 'plaestra')).toEqual([
+      { text: 'Uma ', match: false },
+      { text: 'palestra', match: true },
+      { text: ' boa', match: false }
+    ]);
+  });
+});